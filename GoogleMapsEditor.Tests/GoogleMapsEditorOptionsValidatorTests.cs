@@ -0,0 +1,73 @@
+﻿using Xunit;
+
+namespace GoogleMapsEditor.Tests;
+
+public class GoogleMapsEditorOptionsValidatorTests
+{
+    [Fact]
+    public void Validate_DefaultAttribute_ReturnsNoErrors()
+    {
+        Assert.Empty(GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute(), "StartPage.Location"));
+    }
+
+    [Fact]
+    public void Validate_ValidAttribute_ReturnsNoErrors()
+    {
+        var attribute = new GoogleMapsEditorAttribute
+        {
+            DefaultZoom = 12,
+            DefaultLatitude = 59.3293,
+            DefaultLongitude = 18.0686,
+            AllowedCountries = new[] { "SE", "NO" },
+            Bounds = new[] { 55.0, 4.0, 71.5, 24.5 },
+            AllowedArea = """{ "type": "Polygon", "coordinates": [] }""",
+            IncludedPlaceTypes = new[] { "restaurant" }
+        };
+
+        Assert.Empty(GoogleMapsEditorOptionsValidator.Validate(attribute, "StartPage.Location"));
+    }
+
+    [Fact]
+    public void Validate_InvalidZoom_ReturnsErrorWithPropertyName()
+    {
+        var errors = GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute { DefaultZoom = 21 }, "StartPage.Location");
+
+        Assert.Contains(errors, x => x.Contains("StartPage.Location") && x.Contains(nameof(GoogleMapsEditorAttribute.DefaultZoom)));
+    }
+
+    [Fact]
+    public void Validate_OnlyLatitude_ReturnsError()
+    {
+        Assert.Single(GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute { DefaultLatitude = 59.3293 }, "StartPage.Location"));
+    }
+
+    [Theory]
+    [InlineData(new[] { 55.0, 4.0, 71.5 })]
+    [InlineData(new[] { 71.5, 4.0, 55.0, 24.5 })]
+    public void Validate_InvalidBounds_ReturnsError(double[] bounds)
+    {
+        Assert.Single(GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute { Bounds = bounds }, "StartPage.Location"));
+    }
+
+    [Fact]
+    public void Validate_TooManyCountries_ReturnsError()
+    {
+        var countries = new[] { "SE", "NO", "DK", "FI", "IS", "DE", "NL", "BE", "FR", "ES", "PT", "IT", "AT", "CH", "PL", "CZ" };
+
+        Assert.Single(GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute { AllowedCountries = countries }, "StartPage.Location"));
+    }
+
+    [Fact]
+    public void Validate_TooManyPlaceTypes_ReturnsError()
+    {
+        var placeTypes = new[] { "restaurant", "cafe", "bar", "bakery", "hotel", "museum" };
+
+        Assert.Single(GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute { IncludedPlaceTypes = placeTypes }, "StartPage.Location"));
+    }
+
+    [Fact]
+    public void Validate_InvalidArea_ReturnsError()
+    {
+        Assert.Single(GoogleMapsEditorOptionsValidator.Validate(new GoogleMapsEditorAttribute { AllowedArea = "not json" }, "StartPage.Location"));
+    }
+}
@@ -0,0 +1,45 @@
+﻿using Xunit;
+
+namespace GoogleMapsEditor.Tests;
+
+public class GoogleMapsLocationTests
+{
+    [Theory]
+    [InlineData("59.335644,18.030142", 59.335644, 18.030142)]
+    [InlineData(" 59.335644 , 18.030142 ", 59.335644, 18.030142)]
+    [InlineData("-33.8688,+151.2093", -33.8688, 151.2093)]
+    [InlineData("59,18", 59, 18)]
+    [InlineData("90,-180", 90, -180)]
+    [InlineData("59.1234567,18.1234567", 59.123457, 18.123457)]
+    public void TryParse_ValidValue_ReturnsLocation(string value, double latitude, double longitude)
+    {
+        Assert.True(GoogleMapsLocation.TryParse(value, out var location));
+        Assert.Equal(latitude, location.Latitude);
+        Assert.Equal(longitude, location.Longitude);
+    }
+
+    /// <summary>
+    /// Values rejected by the editor are rejected here too, so the editor and the migration agree on what's valid.
+    /// </summary>
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData(" ")]
+    [InlineData(".5,18")]
+    [InlineData("5.,18")]
+    [InlineData("+.5,18")]
+    [InlineData("59,.5")]
+    [InlineData("59,18.")]
+    [InlineData("59,335644,18,030142")]
+    [InlineData("59,18,3,4")]
+    [InlineData("59.3 18.0")]
+    [InlineData("59.3;18.0")]
+    [InlineData("1e1,18")]
+    [InlineData("59.3,18.0,1")]
+    [InlineData("91,18")]
+    [InlineData("59,181")]
+    public void TryParse_InvalidValue_ReturnsFalse(string? value)
+    {
+        Assert.False(GoogleMapsLocation.TryParse(value, out _));
+    }
+}
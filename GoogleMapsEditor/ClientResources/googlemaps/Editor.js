@@ -2,22 +2,34 @@
  * Google Maps Editor Widget for Optimizely CMS
  * 
  * A custom property editor that allows users to select and manage geographic coordinates
- * using Google Maps and the Places API.
+ * using Google Maps and the Places API, or another map provider such as Leaflet.
  * 
  * Features:
- * - Interactive Google Maps display with marker placement
+ * - Interactive map display with marker placement
  * - Place autocomplete search with custom suggestions dropdown
+ * - Keyboard navigation of suggestions (arrow keys, Enter, Escape, Tab)
  * - Right-click on map to set coordinates
+ * - Address of the selected location displayed below the map (reverse geocoding)
+ * - Drag the marker to fine-tune its position
+ * - Latitude and longitude fields accepting decimal degrees or degrees, minutes and seconds
  * - Support for both object (latitude/longitude) and string (lat,lng) coordinate formats
+ * - Multiple markers with labels for IList<GoogleMapsMarker> properties
+ * - Circle mode for selecting a center point and a radius
+ * - Drawing mode for areas (polygons) and routes (polylines), stored as GeoJSON
+ * - Optional restriction of search and pin placement to countries, a bounding box, or an area
+ * - Optional storage of place ID, display name, and address for GoogleMapsPlace properties
+ * - Pluggable map provider, with Google Maps as the default and Leaflet with Nominatim as an alternative
  * - Session token optimization for Places API calls
  * - Full cleanup on widget destruction
  * 
  * Dependencies:
- * - Google Maps JavaScript API v=weekly with places library
+ * - Google Maps JavaScript API v=weekly with places library, and the Geocoding API (see providers/GoogleMapsProvider)
+ * - Or Leaflet and a Nominatim-compatible geocoding endpoint (see providers/LeafletProvider)
  * - Dojo framework (dijit, dojo/on, dojo/keys, etc.)
  * - Optimizely CMS (epi/shell/widget/dialog/LightWeight)
  */
 define([
+    "dojo/_base/kernel", // Used for the current locale
     "dojo/on",
     "dojo/_base/declare", // Used to declare the actual widget
     "dojo/keys",
@@ -28,14 +40,19 @@ define([
     "dijit/_TemplatedMixin", // Widgets will be based on an external template (string literal, external file, or URL request)
     "dijit/_WidgetsInTemplateMixin", // The widget will in itself contain additional widgets
     "dijit/form/_FormValueWidget", // Widget is used to modify a form value (i.e. content property value)
+    "dijit/form/ValidationTextBox", // Used for the latitude and longitude fields in the template
 
     "epi/shell/widget/dialog/LightWeight", // Used to display the help message
 
+    "./providers/GoogleMapsProvider", // Map provider based on Google Maps (default)
+    "./providers/LeafletProvider", // Map provider based on Leaflet and Nominatim
+
     "dojo/i18n!./nls/Labels", // Localization files containing translations
     "dojo/text!./WidgetTemplate.html",
     'xstyle/css!./WidgetTemplate.css' // CSS to load when widget is loaded
 ],
 function (
+    kernel,
     on,
     declare,
     keys,
@@ -45,7 +62,10 @@ function (
     _TemplatedMixin,
     _WidgetsInTemplateMixin,
     _FormValueWidget,
+    ValidationTextBox,
     LightWeight,
+    GoogleMapsProvider,
+    LeafletProvider,
     Labels,
     template
 ) {
@@ -53,6 +73,18 @@ function (
 
         // ==================== Configuration Properties ====================
         
+        /**
+         * Map provider ("google" or "leaflet")
+         * @type {string}
+         */
+        mapProvider: "google",
+
+        /**
+         * Settings for the Leaflet map provider (scriptUrl, styleUrl, tileUrl, attribution, geocodingUrl)
+         * @type {Object}
+         */
+        leaflet: null,
+
         /**
          * Google Maps API key
          * @type {string}
@@ -65,6 +97,12 @@ function (
          */
         mapId: null,
 
+        /**
+         * URL of the server-side proxy endpoint for search and address lookups, if enabled
+         * @type {string}
+         */
+        proxyUrl: null,
+
         /**
          * Default zoom level when map initializes (1-20)
          * @type {number}
@@ -77,36 +115,181 @@ function (
          */
         defaultCoordinates: null,
 
+        /**
+         * Map height in pixels, or null for the default height
+         * @type {number}
+         */
+        height: null,
+
+        /**
+         * Allow multiple markers, i.e. a list of locations (IList<GoogleMapsMarker> properties)
+         * @type {boolean}
+         */
+        allowMultiple: false,
+
+        /**
+         * Minimum number of markers when multiple markers are allowed (0 = no minimum)
+         * @type {number}
+         */
+        minMarkers: 0,
+
+        /**
+         * Maximum number of markers when multiple markers are allowed (0 = no maximum)
+         * @type {number}
+         */
+        maxMarkers: 0,
+
+        /**
+         * Drawing mode for areas and routes ("polygon" or "polyline"), or null to select a point
+         * @type {string}
+         */
+        drawingMode: null,
+
+        /**
+         * Select a circle, i.e. a center point and a radius (GoogleMapsCircle properties)
+         * @type {boolean}
+         */
+        circleMode: false,
+
+        /**
+         * Radius in meters for new circles
+         * @type {number}
+         */
+        defaultRadius: 1000,
+
+        /**
+         * Restrictions for search and pin placement, or null for no restrictions
+         * Countries are ISO 3166-1 alpha-2 codes, bounds are {south, west, north, east}, and area is a GeoJSON polygon
+         * @type {{countries: Array<string>, bounds: Object, area: string, placeTypes: Array<string>}}
+         */
+        restrictions: null,
+
+        /**
+         * Controls displayed on the map, and whether the editor can be expanded into a large dialog
+         * Map type and Street View controls are only supported by Google Maps
+         * @type {{mapType: boolean, zoom: boolean, streetView: boolean, expand: boolean}}
+         */
+        controls: null,
+
+        /**
+         * Display a Street View preview of the selected location, where the point of view is saved
+         * for GoogleMapsStreetView properties
+         * @type {boolean}
+         */
+        streetViewPreview: false,
+
+        /**
+         * Save the zoom level and map center with the location, so the editor reopens with the same framing
+         * Enabled for GoogleMapsMapView properties
+         * @type {boolean}
+         */
+        saveMapView: false,
+
+        /**
+         * Language of the content being edited, such as "sv", used for addresses if supported by the map provider
+         * @type {string}
+         */
+        contentLanguage: null,
+
+        /**
+         * Master language code and location, for culture-specific properties edited in another language
+         * Displayed if the property has no location in the current language
+         * @type {{language: string, location: {latitude: number, longitude: number}}}
+         */
+        masterLanguage: null,
+
+        /**
+         * Names of the properties of complex values, such as ["latitude", "longitude"]
+         * Used when the property metadata has no nested properties, such as for properties of list items
+         * @type {Array<string>}
+         */
+        valueProperties: null,
+
         // ==================== Instance Properties ====================
 
         /**
-         * Cached Places library exports (AutocompleteSessionToken, AutocompleteSuggestion)
-         * @type {Object}
+         * Map provider wrapping the mapping library and geocoding service
+         * @type {googlemapseditor/providers/_MapProvider}
+         * @private
+         */
+        _provider: null,
+
+        /**
+         * Incremented for every address lookup, used to ignore responses to outdated requests
+         * @type {number}
+         * @private
+         */
+        _addressRequestId: 0,
+
+        /**
+         * Country codes of reverse geocoded locations, keyed by coordinates, used to check country restrictions
+         * @type {Object<string, string>}
          * @private
          */
-        _placesLibrary: null,
+        _countryCodes: null,
 
         /**
-         * Google Maps instance
-         * @type {google.maps.Map}
+         * Map instance (map provider handle)
+         * @type {Object}
          * @private
          */
         _map: null,
 
         /**
-         * Map marker instance (AdvancedMarkerElement)
-         * @type {google.maps.marker.AdvancedMarkerElement}
+         * Error if the map failed to load, in which case coordinates are edited without the map
+         * @type {Error}
+         * @private
+         */
+        _mapError: null,
+
+        /**
+         * Map marker instance (map provider handle)
+         * @type {Object}
          * @private
          */
         _marker: null,
 
         /**
-         * Session token for Places API autocomplete requests
-         * Reused across multiple requests in same session, reset after place selection
-         * @type {google.maps.places.AutocompleteSessionToken}
+         * Map markers when multiple markers are allowed, in the same order as the value (map provider handles)
+         * @type {Array<Object>}
+         * @private
+         */
+        _markers: null,
+
+        /**
+         * Index of the currently selected marker when multiple markers are allowed (-1 = none)
+         * @type {number}
+         * @private
+         */
+        _selectedMarkerIndex: -1,
+
+        /**
+         * Flag to skip re-rendering the marker list on the next value change, for example while editing a label
+         * @type {boolean}
+         * @private
+         */
+        _skipMarkerListRender: false,
+
+        /**
+         * Polygon or polyline being edited in drawing mode (map provider handle)
+         * @type {Object}
+         * @private
+         */
+        _shape: null,
+
+        /**
+         * Number of vertices of the shape being drawn, which may be too few to be stored as a value
+         * @type {number}
+         * @private
+         */
+        _shapeVertexCount: 0,
+
+        /**
+         * Circle around the marker in circle mode (map provider handle)
+         * @type {Object}
          * @private
          */
-        _sessionToken: null,
+        _circle: null,
 
         /**
          * Array of autocomplete suggestions from last search
@@ -129,6 +312,20 @@ function (
          */
         _selectedSuggestionIndex: -1,
 
+        /**
+         * Text last typed by the user in the search box, restored when the dropdown is dismissed with Escape
+         * @type {string}
+         * @private
+         */
+        _typedSearchText: "",
+
+        /**
+         * Search box text the current suggestions are based on, used to ignore keys that don't change the text
+         * @type {string}
+         * @private
+         */
+        _lastSearchInput: "",
+
         /**
          * Timer ID for debounced autocomplete search
          * @type {number}
@@ -150,6 +347,90 @@ function (
          */
         _helpDialog: null,
 
+        /**
+         * True while the current location is being looked up using browser geolocation
+         * @type {boolean}
+         * @private
+         */
+        _locating: false,
+
+        /**
+         * True if the user has interacted with the map since the map view was last saved
+         * @type {boolean}
+         * @private
+         */
+        _mapViewChangedByUser: false,
+
+        /**
+         * Zoom level for selected places and current locations without a known viewport
+         * @type {number}
+         * @private
+         */
+        _defaultPlaceZoom: 15,
+
+        /**
+         * Maximum zoom level when showing the viewport of a selected place, such as a single building
+         * @type {number}
+         * @private
+         */
+        _maxPlaceZoom: 18,
+
+        /**
+         * Previous values for undo, oldest first
+         * @type {Array<*>}
+         * @private
+         */
+        _undoValues: null,
+
+        /**
+         * Undone values for redo, most recently undone last
+         * @type {Array<*>}
+         * @private
+         */
+        _redoValues: null,
+
+        /**
+         * Maximum number of values kept for undo
+         * @type {number}
+         * @private
+         */
+        _maxHistoryLength: 50,
+
+        /**
+         * Dialog the editor is moved into when expanded
+         * @type {epi/shell/widget/dialog/LightWeight}
+         * @private
+         */
+        _expandDialog: null,
+
+        /**
+         * Element in the dialog the editor is moved into when expanded
+         * @type {HTMLElement}
+         * @private
+         */
+        _expandContainer: null,
+
+        /**
+         * Hidden element marking where the editor is moved back to when collapsed, or null if not expanded
+         * @type {HTMLElement}
+         * @private
+         */
+        _expandPlaceholder: null,
+
+        /**
+         * Street View panorama handle created by the map provider, or null if not displayed
+         * @type {Object}
+         * @private
+         */
+        _streetView: null,
+
+        /**
+         * Incremented for each panorama lookup, so results of earlier lookups are ignored
+         * @type {number}
+         * @private
+         */
+        _streetViewRequestId: 0,
+
         /**
          * Prefix for console log messages
          * @type {string}
@@ -173,9 +454,23 @@ function (
          */
         _setValueAttr: function (newValue, priorityChange) {
             this.inherited(arguments);
-            this.textbox.value = newValue || "";
 
-            if (this._marker == null) {
+            // Hidden form field, where objects and lists of markers are serialized rather than written as "[object Object]"
+            this.textbox.value = newValue && typeof newValue === "object" ? JSON.stringify(newValue) : newValue || "";
+
+            this._updateCoordinateFields();
+            this._refreshMasterLanguage();
+
+            if (this._isMultiple()) {
+                this._renderMarkers();
+                this._renderMarkerList();
+            }
+            else if (this._isDrawingMode()) {
+                if (this._shape == null) {
+                    this._refreshMarkerLocation();
+                }
+            }
+            else if (this._marker == null) {
                 this._refreshMarkerLocation();
             }
 
@@ -186,10 +481,32 @@ function (
 
         /**
          * Validates the property value (invoked by Optimizely)
-         * Required properties must have valid coordinates
+         * Required properties must have valid coordinates, and lists of markers must be within the min/max count
+         * Values that can't be parsed or are out of range are invalid even if the property isn't required,
+         * as are place details (place ID, display name, or address) stored without coordinates
+         * Locations must also be within any restrictions, as far as known without looking up their country
          * @returns {boolean} True if valid, false otherwise
          */
         isValid: function () {
+            if (this._isMultiple()) {
+                return !this._getMarkerCountError() &&
+                    this._getMarkerValues().every(markerValue => this._isValidLocation(markerValue.latitude, markerValue.longitude) &&
+                        !this._getKnownRestrictionError(markerValue));
+            }
+
+            if (!this._isDrawingMode() && this._hasInvalidCoordinates()) {
+                return false;
+            }
+
+            // A shape with too few vertices isn't stored, so it must be completed or cleared
+            if (this._isDrawingMode() && this._shapeVertexCount > 0 && this._shapeVertexCount < this._getMinimumShapeVertices()) {
+                return false;
+            }
+
+            if (!this._isDrawingMode() && this._hasCoordinates() && this._getKnownRestrictionError(this._getCoordinates())) {
+                return false;
+            }
+
             if (this.required) {
                 return this._hasCoordinates();
             }
@@ -197,7 +514,7 @@ function (
         },
 
         /**
-         * Determines if the property is complex type (object with latitude/longitude)
+         * Determines if the property is complex type (object with latitude/longitude, and place details for GoogleMapsPlace)
          * vs simple string type (comma-separated coordinates)
          * @param {*} [value] - Optional value to check (uses this.value if not provided)
          * @returns {boolean} True if complex type, false if simple string type
@@ -209,6 +526,15 @@ function (
                 return true;
             }
 
+            // Place details can only be stored in an object, even if the value is empty
+            if (this._hasValueProperty("placeId")) {
+                return true;
+            }
+
+            if (Array.isArray(this.valueProperties)) {
+                return this.valueProperties.length > 0;
+            }
+
             if (Array.isArray(this.properties)) {
                 return this.properties.length > 0;
             }
@@ -222,40 +548,172 @@ function (
 
         /**
          * Checks if current value has valid coordinates
-         * @returns {boolean} True if coordinates are valid and non-zero
+         * Place details don't count as a location, as they are only stored alongside coordinates
+         * @returns {boolean} True if coordinates are valid, within range, and non-zero
          */
         _hasCoordinates: function () {
-            if (!this.value) return false;
+            if (this._isDrawingMode()) {
+                return this._getShapePath().length >= this._getMinimumShapeVertices();
+            }
+
+            const value = this._getCoordinateValue();
+
+            if (!value) return false;
 
             if (this._isComplexType()) {
-                return typeof this.value.latitude !== "undefined" &&
-                    typeof this.value.longitude !== "undefined" &&
-                    this.value.longitude !== null &&
-                    this.value.latitude !== null &&
-                    !isNaN(this.value.longitude) &&
-                    !isNaN(this.value.latitude) &&
-                    this.value.longitude !== 0 &&
-                    this.value.latitude !== 0;
+                return typeof value.latitude !== "undefined" &&
+                    typeof value.longitude !== "undefined" &&
+                    value.longitude !== null &&
+                    value.latitude !== null &&
+                    !isNaN(value.longitude) &&
+                    !isNaN(value.latitude) &&
+                    value.longitude !== 0 &&
+                    value.latitude !== 0 &&
+                    this._isValidLocation(value.latitude, value.longitude);
             }
-            else if (typeof this.value === "string") {
-                return this.value.split(',').length == 2;
+            else if (typeof value === "string") {
+                return this._parseStringValue(value) !== null;
             }
 
             return false;
         },
 
+        /**
+         * Checks if the current value has coordinates which can't be used, as opposed to having no coordinates
+         * Place details without coordinates are also invalid, as they no longer describe the selected location
+         * @returns {boolean} True if the value isn't empty but has no valid coordinates
+         * @private
+         */
+        _hasInvalidCoordinates: function () {
+            const value = this._getCoordinateValue();
+
+            if (!value) {
+                return false;
+            }
+
+            if (typeof value === "string") {
+                return this._parseStringValue(value) === null;
+            }
+
+            const hasLatitude = value.latitude !== null && typeof value.latitude !== "undefined",
+                  hasLongitude = value.longitude !== null && typeof value.longitude !== "undefined",
+                  hasPlaceDetails = !!(value.placeId || value.displayName || value.formattedAddress);
+
+            return (hasLatitude || hasLongitude || hasPlaceDetails) && !this._isValidLocation(value.latitude, value.longitude);
+        },
+
+        /**
+         * Checks if latitude and longitude are numbers within range (±90 and ±180)
+         * @param {number} latitude - Latitude in decimal degrees
+         * @param {number} longitude - Longitude in decimal degrees
+         * @returns {boolean} True if both coordinates are valid
+         * @private
+         */
+        _isValidLocation: function (latitude, longitude) {
+            return typeof latitude === "number" && typeof longitude === "number" &&
+                Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+        },
+
+        /**
+         * Parses a value stored in a string property, i.e. "latitude,longitude" in decimal degrees with a period as decimal separator
+         * Coordinates need digits on both sides of the decimal point, and values with a comma as decimal separator are invalid
+         * (same rules as GoogleMapsLocation.TryParse)
+         * @param {string} value - Value to parse
+         * @returns {{latitude: number, longitude: number}|null} Coordinates, or null if value isn't valid
+         * @private
+         */
+        _parseStringValue: function (value) {
+            const match = /^\s*([-+]?\d+(?:\.\d+)?)\s*,\s*([-+]?\d+(?:\.\d+)?)\s*$/.exec(value);
+
+            if (!match) {
+                return null;
+            }
+
+            const latitude = parseFloat(match[1]),
+                  longitude = parseFloat(match[2]);
+
+            return this._isValidLocation(latitude, longitude) ? {
+                latitude: this._roundCoordinate(latitude),
+                longitude: this._roundCoordinate(longitude)
+            } : null;
+        },
+
+        /**
+         * Formats coordinates for a string property, using a period as decimal separator regardless of locale
+         * @param {number} latitude - Latitude in decimal degrees
+         * @param {number} longitude - Longitude in decimal degrees
+         * @returns {string} Value in the "latitude,longitude" format, such as "59.335644,18.030142"
+         * @private
+         */
+        _formatStringValue: function (latitude, longitude) {
+            return `${this._roundCoordinate(latitude)},${this._roundCoordinate(longitude)}`;
+        },
+
+        /**
+         * Rounds a coordinate to the precision saved with the value, i.e. 6 decimals or about 0.1 meters
+         * @param {number} coordinate - Coordinate in decimal degrees
+         * @returns {number} Rounded coordinate
+         * @private
+         */
+        _roundCoordinate: function (coordinate) {
+            return Math.round(coordinate * 1000000) / 1000000;
+        },
+
+        /**
+         * Gets the value holding the current coordinates, i.e. the selected marker if multiple markers are allowed
+         * @returns {*} Coordinate value, in object or string format
+         * @private
+         */
+        _getCoordinateValue: function () {
+            if (this._isMultiple()) {
+                return this._getMarkerValues()[this._selectedMarkerIndex] || null;
+            }
+
+            return this.value;
+        },
+
+        /**
+         * Gets latitude and longitude of the current value, regardless of value format
+         * @returns {{latitude: number, longitude: number}|null} Coordinates, or null if value has no coordinates
+         * @private
+         */
+        _getCoordinates: function () {
+            if (!this._hasCoordinates()) {
+                return null;
+            }
+
+            const value = this._getCoordinateValue();
+
+            if (this._isComplexType()) {
+                return {
+                    latitude: value.latitude,
+                    longitude: value.longitude
+                };
+            }
+
+            return this._parseStringValue(value);
+        },
+
         /**
          * Clears coordinates, marker, and suggestions dropdown
          */
         _clearCoordinates: function () {
-            this.searchTextbox.set("value", '');
+            this._typedSearchText = "";
+            this._setSearchText("");
             this._hideSuggestionsDropdown();
+            this._showMessage(null);
 
-            if (this._marker) {
-                this._marker.map = null;
-                this._marker = null;
+            this._removeMarker();
+
+            if (this._isDrawingMode()) {
+                this._removeShape();
+                this._setShapeValue([]);
+                return;
             }
 
+            this._removeCircle();
+
+            // Removes the selected marker if multiple markers are allowed
             this._setCoordinatesValue(null);
         },
 
@@ -293,17 +751,96 @@ function (
             }.bind(this));
 
             this.own(helpHandler, clearHandler);
-        },
 
-        /**
-         * Logs a message to console (only on localhost for debugging)
-         * @param {string} message - Message to log
-         * @param {*} [data] - Optional data to include in log
-         */
-        log: function (message, data) {
-            if (window.location.hostname !== "localhost" && !window.location.hostname.endsWith(".local")) {
-                return;
-            }
+            if (!this._getControls().expand) {
+                domStyle.set(this.expandIcon, "display", "none");
+            } else {
+                const expandHandler = on(this.expandIcon, "click", function (e) {
+                    e.preventDefault();
+
+                    if (this._expandPlaceholder) {
+                        this._expandDialog.hide();
+                    } else {
+                        this._expand();
+                    }
+                }.bind(this));
+
+                this.own(expandHandler);
+            }
+
+            // Current location requires browser geolocation, which is only available on HTTPS
+            if (this.readOnly || !navigator.geolocation || !window.isSecureContext) {
+                domStyle.set(this.locateIcon, "display", "none");
+                return;
+            }
+
+            const locateHandler = on(this.locateIcon, "click", function (e) {
+                e.preventDefault();
+                this._locateCurrentPosition();
+            }.bind(this));
+
+            this.own(locateHandler);
+        },
+
+        /**
+         * Sets up the undo and redo buttons, and Ctrl+Z and Ctrl+Y (or Ctrl+Shift+Z) while the widget has focus
+         * @private
+         */
+        _setupHistory: function () {
+            this._undoValues = [];
+            this._redoValues = [];
+
+            if (this.readOnly) {
+                domStyle.set(this.undoIcon, "display", "none");
+                domStyle.set(this.redoIcon, "display", "none");
+                return;
+            }
+
+            const undoHandler = on(this.undoIcon, "click", function (e) {
+                e.preventDefault();
+                this._undo();
+            }.bind(this));
+
+            const redoHandler = on(this.redoIcon, "click", function (e) {
+                e.preventDefault();
+                this._redo();
+            }.bind(this));
+
+            const keydownHandler = on(this.domNode, "keydown", function (e) {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+                    return;
+                }
+
+                // Text fields keep their own undo while they contain text
+                const target = e.target;
+                if ((target.tagName === "INPUT" || target.tagName === "TEXTAREA") && target.value) {
+                    return;
+                }
+
+                const key = e.key.toLowerCase();
+
+                if (key === "z" && !e.shiftKey) {
+                    e.preventDefault();
+                    this._undo();
+                } else if (key === "y" || (key === "z" && e.shiftKey)) {
+                    e.preventDefault();
+                    this._redo();
+                }
+            }.bind(this));
+
+            this.own(undoHandler, redoHandler, keydownHandler);
+            this._updateHistoryButtons();
+        },
+
+        /**
+         * Logs a message to console (only on localhost for debugging)
+         * @param {string} message - Message to log
+         * @param {*} [data] - Optional data to include in log
+         */
+        log: function (message, data) {
+            if (window.location.hostname !== "localhost" && !window.location.hostname.endsWith(".local")) {
+                return;
+            }
 
             const messageWithPrefix = `${this._logPrefix} ${message}`;
             if (data) {
@@ -313,102 +850,144 @@ function (
             }
         },
 
-        // ==================== Google Maps Initialization ====================
+        // ==================== Map Initialization ====================
 
         /**
-         * Loads the Google Maps JavaScript API script
-         * Uses global callback to notify when script is loaded
-         * Prevents duplicate script tags from being created
+         * Creates the map provider selected in the editor configuration
+         * @returns {googlemapseditor/providers/_MapProvider} Map provider
+         * @private
          */
-        _addGoogleMapsScript: function () {
-            const callbackFunctionName = "googleMapsScriptCallback";
-
-            // Create global editor object if one doesn't already exist, including global event for when Google Maps script has finished loading
-            if (!window.googleMapsEditor) {
-                window.googleMapsEditor = {};
-                window.googleMapsEditor.scriptLoadedEvent = new Event("googleMapsScriptLoaded");
+        _createMapProvider: function () {
+            const log = this.log.bind(this);
+
+            if (this.mapProvider === "leaflet") {
+                return new LeafletProvider(Object.assign({}, this.leaflet, {
+                    language: this.contentLanguage || kernel.locale,
+                    log: log
+                }));
             }
 
-            // Add global callback function for Google Maps to invoke when script has loaded
-            if (!window[callbackFunctionName]) {
-                window[callbackFunctionName] = function () {
-                    this.log("Google Maps API loaded successfully");
-                    document.dispatchEvent(googleMapsEditor.scriptLoadedEvent);
-                }.bind(this);
-            }
+            return new GoogleMapsProvider({
+                apiKey: this.apiKey,
+                mapId: this.mapId,
+                proxyUrl: this.proxyUrl,
+                language: this.contentLanguage || kernel.locale,
+                log: log
+            });
+        },
+
+        /**
+         * Gets the controls to display on the map, where controls not specified are displayed
+         * @returns {{mapType: boolean, zoom: boolean, streetView: boolean, expand: boolean}} Controls
+         * @private
+         */
+        _getControls: function () {
+            return Object.assign({ mapType: true, zoom: true, streetView: true, expand: true }, this.controls);
+        },
 
-            const googleMapsScriptElementId = "googleMapsEditor-script";
-            const scriptTagAlreadyAdded = !!document.getElementById(googleMapsScriptElementId);
+        /**
+         * Loads the map provider scripts, then initializes the map and refreshes marker location
+         * @private
+         */
+        _loadMap: function () {
+            this._provider.load().then(function () {
+                if (this._beingDestroyed) {
+                    return;
+                }
 
-            if (!scriptTagAlreadyAdded) {
-                const scriptUrl = `https://maps.googleapis.com/maps/api/js?key=${this.apiKey}&loading=async&libraries=places,marker&callback=${callbackFunctionName}&v=weekly`;
+                this._createMapElement();
+                this._refreshMarkerLocation();
+            }.bind(this), function (error) {
+                this._showMapError(error);
+            }.bind(this));
+        },
 
-                this.log("Loading Google Maps script...", scriptUrl);
-                                
-                const tag = document.createElement("script");
-                tag.id = googleMapsScriptElementId;
-                tag.src = scriptUrl;
-                tag.defer = true;
+        /**
+         * Hides the map and search, and displays a message about why the map is unavailable
+         * The coordinate fields are still displayed, so the value can be viewed and changed without the map
+         * @param {Error} error - Error with a code from the map provider, such as "authentication"
+         * @private
+         */
+        _showMapError: function (error) {
+            console.error(`${this._logPrefix} Error loading map:`, error);
 
-                const firstScriptTag = document.getElementsByTagName("script")[0];
-                firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
-            }
-            else if (typeof google === "object" && typeof google.maps === "object") { // Script already loaded, for example when page is refreshed within the CMS UI
-                window[callbackFunctionName]();
+            if (this._beingDestroyed || this._mapError) {
+                return;
             }
+
+            this._mapError = error;
+            this._hideSuggestionsDropdown();
+
+            const messages = this._localized.mapErrors;
+            const reason = messages[error && error.code] || messages.script;
+            const fallback = this._isDrawingMode() ? messages.drawingFallback : messages.coordinatesFallback;
+
+            this.mapErrorNode.textContent = `${reason} ${fallback}`;
+            domStyle.set(this.mapErrorNode, "display", "");
+            domClass.add(this.domNode, "google-maps-editor--map-unavailable");
         },
 
         /**
-         * Initializes the Google Map and sets up all event listeners
-         * Called after Google Maps API script has loaded
+         * Initializes the map and sets up all event listeners
+         * Called after the map provider scripts have loaded
+         * @private
          */
-        _createGoogleMapsElement: async function () {
-            const initialCoordinates = new google.maps.LatLng(this.defaultCoordinates.latitude, this.defaultCoordinates.longitude);
-
-            // Render the map, but disable interaction if property is readonly
-            const mapOptions = {
+        _createMapElement: function () {
+            this._map = this._provider.createMap(this.canvas, {
+                center: this._provider.createLocation(this.defaultCoordinates.latitude, this.defaultCoordinates.longitude),
                 zoom: parseInt(this.defaultZoom),
-                disableDefaultUI: true,
-                center: initialCoordinates,
-                disableDoubleClickZoom: this.readOnly,
-                scrollwheel: !this.readOnly,
-                draggable: !this.readOnly,
-                mapId: `${this.mapId}`
-            };
-
-            this._map = new google.maps.Map(this.canvas, mapOptions);
+                readOnly: this.readOnly, // Disable interaction and display grayscale map if property is readonly
+                disableDoubleClickZoom: this._isDrawingMode(), // Double-clicks add vertices in drawing mode
+                controls: this._getControls(),
+                restrictionBounds: this._getRestrictionBounds() // Keep the map view near the allowed locations
+            });
 
-            // Display grayscale map if property is readonly
-            if (this.readOnly) {
-                const grayStyle = [{
-                    featureType: "all",
-                    elementType: "all",
-                    stylers: [{ saturation: -100 }]
-                }];
+            // The API key may be rejected after the map has been created
+            this.own(this._provider.onFailure(this._showMapError.bind(this)));
 
-                const mapType = new google.maps.StyledMapType(grayStyle, { name: "Grayscale" });
-                this._map.mapTypes.set('disabled', mapType);
-                this._map.setMapTypeId('disabled');
-            }
+            this._setupMapViewTracking();
 
             // Allow user to change coordinates unless property is readonly
             if (!this.readOnly) {
                 // Update map marker when map is right-clicked
-                const rightClickHandler = google.maps.event.addListener(this._map, "rightclick", function (event) {
-                    this._setMapLocation(event.latLng, null, false, false);
-                    this._setCoordinatesValue(event.latLng);
+                const rightClickHandler = this._provider.onMapRightClick(this._map, function (location) {
+                    if (this._isDrawingMode()) {
+                        // Vertices are added by left-clicking in drawing mode
+                        return;
+                    }
+
+                    this._checkLocation(location).then(function (allowed) {
+                        if (!allowed) {
+                            return;
+                        }
+
+                        if (this._isMultiple()) {
+                            this._addMarkerValue(location);
+                            return;
+                        }
+
+                        this._setMapLocation(location, null, false, false);
+                        this._setCoordinatesValue(location);
+                    }.bind(this));
                 }.bind(this));
 
-                this.own({
-                    remove: function () {
-                        google.maps.event.removeListener(rightClickHandler);
-                    }
-                });
+                this.own(rightClickHandler);
+
+                if (this._isDrawingMode()) {
+                    // Add a vertex when map is clicked
+                    const clickHandler = this._provider.onMapClick(this._map, function (location) {
+                        this._addShapeVertex(location);
+                    }.bind(this));
+
+                    this.own(clickHandler);
+                }
 
                 this._setupCustomAutocomplete();
             } else {
                 this.searchTextbox.set("disabled", true);
             }
+
+            this._createStreetView();
         },
 
         // ==================== Autocomplete & Suggestions ====================
@@ -447,11 +1026,10 @@ function (
             }
 
             suggestions.forEach((suggestion, index) => {
-                const placePrediction = suggestion.placePrediction;
                 const li = domConstruct.create("li", {
                     class: "suggestion-item",
                     "data-index": index,
-                    innerHTML: placePrediction.text.toString()
+                    textContent: suggestion.text
                 }, this._suggestionsDropdown);
 
                 li.addEventListener("click", function (e) {
@@ -498,6 +1076,55 @@ function (
             this._selectedSuggestionIndex = index;
         },
 
+        /**
+         * Checks if the suggestions dropdown is currently displayed
+         * @returns {boolean} True if dropdown is visible
+         * @private
+         */
+        _isSuggestionsDropdownVisible: function () {
+            return !!this._suggestionsDropdown && domStyle.get(this._suggestionsDropdown, "display") !== "none";
+        },
+
+        /**
+         * Moves the highlight up or down in the suggestions dropdown (wraps around)
+         * Shows the highlighted suggestion in the search box, or the typed text when no suggestion is highlighted
+         * @param {number} step - Number of items to move (1 = down, -1 = up)
+         * @private
+         */
+        _moveSuggestionHighlight: function (step) {
+            if (!this._suggestions || this._suggestions.length === 0) {
+                return;
+            }
+
+            const count = this._suggestions.length;
+            let index = this._selectedSuggestionIndex + step;
+
+            if (index >= count) {
+                index = 0;
+            } else if (index < 0) {
+                index = count - 1;
+            }
+
+            this._highlightSuggestion(index);
+
+            const item = this._suggestionsDropdown.querySelector(`.suggestion-item[data-index="${index}"]`);
+            if (item) {
+                item.scrollIntoView({ block: "nearest" });
+            }
+
+            this._setSearchText(this._suggestions[index].text);
+        },
+
+        /**
+         * Sets the search box text without triggering a new autocomplete search
+         * @param {string} text - Text to display in the search box
+         * @private
+         */
+        _setSearchText: function (text) {
+            this._lastSearchInput = text;
+            this.searchTextbox.set("value", text);
+        },
+
         /**
          * Handles selection of a suggestion
          * Fetches full place details and updates map and coordinates
@@ -510,54 +1137,49 @@ function (
             }
 
             const suggestion = this._suggestions[index];
-            const placePrediction = suggestion.placePrediction;
 
             try {
-                const place = placePrediction.toPlace();
-                await place.fetchFields({
-                    fields: ['displayName', 'formattedAddress', 'location']
-                });
+                const place = await this._provider.getSuggestionPlace(suggestion);
 
-                if (!place.location) {
+                if (!place) {
                     return;
                 }
 
-                const lat = place.location.lat();
-                const lng = place.location.lng();
-                const location = new google.maps.LatLng(lat, lng);
+                const location = place.location;
+
+                const placeDetails = {
+                    placeId: place.placeId,
+                    displayName: place.displayName,
+                    formattedAddress: place.formattedAddress
+                };
+
+                if (!this._isDrawingMode() && !(await this._checkLocation(location))) {
+                    this._hideSuggestionsDropdown();
+                    return;
+                }
 
-                this._setMapLocation(location, 15, true, false);
-                this._setCoordinatesValue(location);
+                // Areas and routes are drawn by clicking the map, so only move the map view in drawing mode
+                this._setMapLocation(location, this._getPlaceZoom(place), true, this._isDrawingMode());
 
-                // Keep session token for cost optimization across multiple selections
-                // Session token will be reused until user clears the search field
+                if (this._isMultiple()) {
+                    this._addMarkerValue(location, placeDetails);
+                } else if (!this._isDrawingMode()) {
+                    this._setCoordinatesValue(location, placeDetails);
+                }
 
-                this.searchTextbox.set("value", '');
+                this._typedSearchText = "";
+                this._setSearchText("");
                 this._hideSuggestionsDropdown();
 
             } catch (error) {
                 console.error(`${this._logPrefix} Error selecting place:`, error);
+                this._hideSuggestionsDropdown();
+                this._showMessage(this._localized.mapErrors.place);
             }
         },
 
         /**
-         * Gets or loads the Places library (cached)
-         * Prevents repeated importLibrary calls
-         * @returns {Promise<Object>} Object containing AutocompleteSessionToken and AutocompleteSuggestion
-         * @private
-         */
-        _getPlacesLibrary: async function () {
-            if (this._placesLibrary) {
-                return this._placesLibrary;
-            }
-
-            this._placesLibrary = await google.maps.importLibrary('places');
-            return this._placesLibrary;
-        },
-
-        /**
-         * Fetches autocomplete suggestions from Places API
-         * Uses session token for cost optimization
+         * Fetches autocomplete suggestions from the map provider, within any restrictions
          * @param {string} input - User input for autocomplete search
          * @private
          */
@@ -568,30 +1190,22 @@ function (
             }
 
             try {
-                const placesLib = await this._getPlacesLibrary();
-                const { AutocompleteSessionToken, AutocompleteSuggestion } = placesLib;
-
-                if (!this._sessionToken) {
-                    this._sessionToken = new AutocompleteSessionToken();
-                }
-
-                const request = {
-                    input: input,
-                    sessionToken: this._sessionToken
-                };
-
-                if (this._map) {
-                    const center = this._map.getCenter();
-                    request.origin = { lat: center.lat(), lng: center.lng() };
-                }
+                const restrictions = this.restrictions || {};
 
-                const { suggestions } = await AutocompleteSuggestion.fetchAutocompleteSuggestions(request);
+                const suggestions = await this._provider.fetchSuggestions(input, {
+                    origin: this._map ? this._provider.getCenter(this._map) : null,
+                    countries: this._getRestrictedCountries(),
+                    bounds: this._getRestrictionBounds(),
+                    placeTypes: Array.isArray(restrictions.placeTypes) ? restrictions.placeTypes : []
+                });
 
                 this._suggestions = suggestions;
                 this._showSuggestionsDropdown(suggestions);
 
             } catch (error) {
                 console.error(`${this._logPrefix} Error fetching suggestions:`, error);
+                this._hideSuggestionsDropdown();
+                this._showMessage(this._localized.mapErrors.search);
             }
         },
 
@@ -605,12 +1219,66 @@ function (
 
             const inputElement = this.searchTextbox.domNode.querySelector("input") || this.searchTextbox.domNode;
 
+            const keydownHandler = on(inputElement, "keydown", function (e) {
+                if (!this._isSuggestionsDropdownVisible()) {
+                    if (e.keyCode === keys.ENTER) {
+                        // Avoid submitting any dialog the editor is displayed in, such as the list item dialog
+                        e.preventDefault();
+                        e.stopPropagation();
+                    }
+                    return;
+                }
+
+                switch (e.keyCode) {
+                    case keys.DOWN_ARROW:
+                        e.preventDefault();
+                        this._moveSuggestionHighlight(1);
+                        break;
+
+                    case keys.UP_ARROW:
+                        e.preventDefault();
+                        this._moveSuggestionHighlight(-1);
+                        break;
+
+                    case keys.ENTER:
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this._selectSuggestion(this._selectedSuggestionIndex);
+                        break;
+
+                    case keys.ESCAPE:
+                        // Stop propagation to avoid closing any dialog the editor is displayed in
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this._setSearchText(this._typedSearchText);
+                        this._hideSuggestionsDropdown();
+                        break;
+
+                    case keys.TAB:
+                        // Accept the highlighted suggestion, but let focus move on as usual
+                        if (this._selectedSuggestionIndex >= 0) {
+                            this._selectSuggestion(this._selectedSuggestionIndex);
+                        } else {
+                            this._hideSuggestionsDropdown();
+                        }
+                        break;
+                }
+            }.bind(this));
+
             const keyupHandler = on(inputElement, "keyup", function (e) {
+                const value = e.target.value;
+
+                // Ignore keys that don't change the text, such as arrow keys, Enter, and modifier keys
+                if (value === this._lastSearchInput) {
+                    return;
+                }
+
+                this._lastSearchInput = value;
+                this._typedSearchText = value;
+
                 if (this._typingTimer) {
                     clearTimeout(this._typingTimer);
                 }
-                
-                const value = e.target.value;
 
                 this._typingTimer = setTimeout(function () {
                     this._fetchAutocompleteSuggestions(value);
@@ -630,6 +1298,7 @@ function (
             document.addEventListener("click", documentClickHandler, true);
 
             this.own(
+                keydownHandler,
                 keyupHandler,
                 {
                     remove: function () {
@@ -639,169 +1308,2473 @@ function (
             );
         },
 
-        // ==================== Coordinate & Map Management ====================
+        // ==================== Reverse Geocoding ====================
 
         /**
-         * Updates the widget value with the given location
-         * Automatically converts between object and string formats
-         * @param {google.maps.LatLng} location - The location to set
+         * Displays the address of a location below the map
+         * @param {Object} location - Location to display address for, or null to hide the address
+         * @param {{placeId: string, displayName: string, formattedAddress: string}} [placeDetails] - Optional known place details, otherwise the location is reverse geocoded
          * @private
          */
-        _setCoordinatesValue: function (location) {
-            if (!this._started) {
+        _refreshAddress: function (location, placeDetails) {
+            const requestId = ++this._addressRequestId;
+
+            if (!location) {
+                this._showAddress(null);
                 return;
             }
 
-            let value = null;
-
-            if (!location) {
-                if (this._isComplexType()) {
-                    // Set "empty" value (still an object for local block properties)
-                    value = {
-                        "latitude": null,
-                        "longitude": null
-                    };
-                }
+            if (placeDetails && placeDetails.formattedAddress) {
+                this._showAddress(placeDetails.formattedAddress);
+                return;
             }
-            else { // Has a location
-                const longitude = location.lng(),
-                      latitude = location.lat();
 
-                if (longitude === undefined || latitude === undefined) {
-                    console.error(`${this._logPrefix} Unexpectedly missing longitude and/or latitude coordinate`);
+            this._reverseGeocode(location).then(function (details) {
+                // Ignore response if location has changed since the request was made
+                if (requestId !== this._addressRequestId) {
                     return;
                 }
 
-                if (this._isComplexType()) {
-                    value = {
-                        "latitude": parseFloat(latitude),
-                        "longitude": parseFloat(longitude)
-                    };
-                } else {
-                    value = latitude + "," + longitude;
-                }
-            }
-
-            this.set("value", value);
+                this._showAddress(details ? details.formattedAddress : this._localized.noAddress);
+            }.bind(this));
         },
 
         /**
-         * Updates map marker position and/or map view
-         * @param {google.maps.LatLng} location - Target location
-         * @param {number} [zoom] - Optional zoom level (1-20)
-         * @param {boolean} [center] - Optional flag to center map on location
-         * @param {boolean} [skipMarker] - Optional flag to skip marker placement
+         * Looks up the address of a location using the map provider
+         * @param {Object} location - Location to look up
+         * @returns {Promise<{placeId: string, displayName: null, formattedAddress: string}|null>} Place details, or null if no address was found
          * @private
          */
-        _setMapLocation: function (location, zoom, center, skipMarker) {
-            if (!this._map) {
-                return;
-            }
+        _reverseGeocode: async function (location) {
+            try {
+                const address = await this._provider.reverseGeocode(location);
 
-            if (!skipMarker) {
-                if (!this._marker) {
-                    this._marker = new google.maps.marker.AdvancedMarkerElement({
-                        map: this._map
-                    });
+                if (!address) {
+                    return null;
                 }
-                this._marker.position = location;
-            }
 
-            // Center on the location (optional)
-            if (center) {
-                this._map.setCenter(location);
-            }
+                return {
+                    placeId: address.placeId,
+                    displayName: null, // Geocoding results have no display name, only places selected through search do
+                    formattedAddress: address.formattedAddress
+                };
 
-            // Set map zoom level (optional)
-            if (zoom) {
-                this._map.setZoom(zoom);
+            } catch (error) {
+                console.error(`${this._logPrefix} Error looking up address:`, error);
+                return null;
             }
         },
 
         /**
-         * Refreshes marker location based on current widget value
-         * Called on initial load and when value changes externally
+         * Sets the address text displayed below the map
+         * @param {string} address - Address to display, or null to hide the address
          * @private
          */
-        _refreshMarkerLocation: function () {
-            if (!this._map) {
-                // Map not initialized;
-                return;
-            }
-
-            let location;
-
-            // If the value set is empty then clear the coordinates
-            if (!this._hasCoordinates()) {
-                // Set map location to default coordinates
-                location = new google.maps.LatLng(this.defaultCoordinates.latitude, this.defaultCoordinates.longitude);
-                this._setMapLocation(location, null, true, true);
-                return;
-            }
-
-            let latitude, longitude;
+        _showAddress: function (address) {
+            this.addressNode.textContent = address || "";
+            domStyle.set(this.addressNode, "display", address ? "" : "none");
+        },
 
-            if (this._isComplexType()) {
-                latitude = this.value.latitude;
-                longitude = this.value.longitude;
-            } else {
-                const coordinates = this.value.split(",");
-                latitude = parseFloat(coordinates[0]);
-                longitude = parseFloat(coordinates[1]);
-            }
+        // ==================== Geographic Restrictions ====================
 
-            location = new google.maps.LatLng(latitude, longitude);
-            this._setMapLocation(location, null, true, false);
+        /**
+         * Determines if search and pin placement are restricted to countries, a bounding box, or an area
+         * @returns {boolean} True if locations are restricted
+         * @private
+         */
+        _hasLocationRestrictions: function () {
+            return this._getRestrictedCountries().length > 0 ||
+                !!this._getRestrictionBounds() ||
+                this._getRestrictedArea().length > 0;
         },
 
         /**
-         * Wires up event listener for when Google Maps script loads
-         * Initializes map and refreshes marker location
+         * Gets the countries that locations must be in
+         * @returns {Array<string>} Upper-case ISO 3166-1 alpha-2 country codes, or an empty array to allow all countries
          * @private
          */
-        _wireupGoogleMapsScriptLoaded: function () {
-            const signal = on(document, "googleMapsScriptLoaded", function (e) {
-                this._createGoogleMapsElement();
-                this._refreshMarkerLocation();
-                signal.remove();
-            }.bind(this));
+        _getRestrictedCountries: function () {
+            const countries = this.restrictions && this.restrictions.countries;
 
-            this.own(signal);
+            return Array.isArray(countries) ? countries.map(country => String(country).toUpperCase()) : [];
         },
 
-        // ==================== Lifecycle Methods ====================
-
         /**
-         * Cleans up resources when widget is destroyed
-         * Clears timers, removes DOM elements, and resets references
+         * Gets the bounding box that locations must be within, i.e. the configured bounds or the bounds of the configured area
+         * @returns {{north: number, south: number, east: number, west: number}|null} Bounds, or null if not restricted
+         * @private
          */
-        destroy: function () {
-            if (this._typingTimer) {
-                clearTimeout(this._typingTimer);
-                this._typingTimer = null;
+        _getRestrictionBounds: function () {
+            const bounds = this.restrictions && this.restrictions.bounds;
+
+            if (bounds) {
+                return {
+                    north: bounds.north,
+                    south: bounds.south,
+                    east: bounds.east,
+                    west: bounds.west
+                };
             }
 
-            if (this._suggestionsDropdown) {
-                domConstruct.destroy(this._suggestionsDropdown);
-                this._suggestionsDropdown = null;
-            }
+            const area = this._getRestrictedArea();
 
-            this._sessionToken = null;
-            this._suggestions = null;
-            this._placesLibrary = null;
+            if (area.length === 0) {
+                return null;
+            }
 
-            this.inherited(arguments);
+            return {
+                north: Math.max(...area.map(vertex => vertex.lat)),
+                south: Math.min(...area.map(vertex => vertex.lat)),
+                east: Math.max(...area.map(vertex => vertex.lng)),
+                west: Math.min(...area.map(vertex => vertex.lng))
+            };
+        },
+
+        /**
+         * Gets the vertices of the area that locations must be within
+         * @returns {Array<{lat: number, lng: number}>} Vertices, or an empty array if not restricted
+         * @private
+         */
+        _getRestrictedArea: function () {
+            const area = this.restrictions && this.restrictions.area;
+
+            return area ? this._parseGeoJsonPath(area) : [];
+        },
+
+        /**
+         * Checks if coordinates are within the bounding box and area restrictions
+         * @param {{latitude: number, longitude: number}} coordinates - Coordinates to check
+         * @returns {boolean} True if within the restrictions, or if there are none
+         * @private
+         */
+        _isWithinRestrictedArea: function (coordinates) {
+            const latitude = Number(coordinates.latitude),
+                  longitude = Number(coordinates.longitude);
+
+            const bounds = this.restrictions && this.restrictions.bounds;
+
+            if (bounds) {
+                // Bounds crossing the antimeridian have a west longitude greater than the east longitude
+                const withinLongitude = bounds.west <= bounds.east ?
+                    longitude >= bounds.west && longitude <= bounds.east :
+                    longitude >= bounds.west || longitude <= bounds.east;
+
+                if (latitude < bounds.south || latitude > bounds.north || !withinLongitude) {
+                    return false;
+                }
+            }
+
+            const area = this._getRestrictedArea();
+
+            return area.length < 3 || this._isPointInPolygon(latitude, longitude, area);
+        },
+
+        /**
+         * Checks if a point is inside a polygon, using ray casting
+         * @param {number} latitude - Latitude of the point
+         * @param {number} longitude - Longitude of the point
+         * @param {Array<{lat: number, lng: number}>} polygon - Vertices of the polygon
+         * @returns {boolean} True if the point is inside the polygon
+         * @private
+         */
+        _isPointInPolygon: function (latitude, longitude, polygon) {
+            let inside = false;
+
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[i], b = polygon[j];
+
+                if ((a.lat > latitude) !== (b.lat > latitude) &&
+                    longitude < (b.lng - a.lng) * (latitude - a.lat) / (b.lat - a.lat) + a.lng) {
+                    inside = !inside;
+                }
+            }
+
+            return inside;
+        },
+
+        /**
+         * Gets the country of a location using the map provider (cached)
+         * @param {Object} location - Location to look up
+         * @returns {Promise<string|null|undefined>} Upper-case country code, null if the location isn't in a country, or undefined if the lookup failed
+         * @private
+         */
+        _getCountryCode: async function (location) {
+            const key = this._getCountryCodeKey(location.lat(), location.lng());
+
+            this._countryCodes = this._countryCodes || {};
+
+            if (key in this._countryCodes) {
+                return this._countryCodes[key];
+            }
+
+            let countryCode;
+
+            try {
+                // No address, for example in the middle of an ocean, means no country
+                const address = await this._provider.reverseGeocode(location);
+                countryCode = address && address.countryCode || null;
+
+            } catch (error) {
+                console.error(`${this._logPrefix} Error looking up country:`, error);
+                return undefined;
+            }
+
+            this._countryCodes[key] = countryCode;
+            return countryCode;
+        },
+
+        /**
+         * Gets the key for a location in the country code cache
+         * @param {number} latitude - Latitude
+         * @param {number} longitude - Longitude
+         * @returns {string} Cache key
+         * @private
+         */
+        _getCountryCodeKey: function (latitude, longitude) {
+            return `${Number(latitude).toFixed(6)},${Number(longitude).toFixed(6)}`;
+        },
+
+        /**
+         * Gets the error for a location outside the restrictions, looking up its country if needed
+         * Locations are allowed if their country can't be looked up, for example if the Geocoding API is unavailable
+         * @param {Object} location - Location to check
+         * @returns {Promise<string|null>} Localized error message, or null if the location is allowed
+         * @private
+         */
+        _getRestrictionError: async function (location) {
+            if (!this._isWithinRestrictedArea({ latitude: location.lat(), longitude: location.lng() })) {
+                return this._localized.restrictions.outsideArea;
+            }
+
+            if (this._getRestrictedCountries().length === 0) {
+                return null;
+            }
+
+            const countryCode = await this._getCountryCode(location);
+
+            if (countryCode === undefined || this._getRestrictedCountries().indexOf(countryCode) >= 0) {
+                return null;
+            }
+
+            return this._formatCountries(this._localized.restrictions.outsideCountries);
+        },
+
+        /**
+         * Gets the error for coordinates outside the restrictions, without looking up their country
+         * Used for validation, where only countries of previously looked up locations are checked
+         * @param {{latitude: number, longitude: number}} coordinates - Coordinates to check
+         * @returns {string|null} Localized error message, or null if the coordinates are allowed as far as known
+         * @private
+         */
+        _getKnownRestrictionError: function (coordinates) {
+            if (!coordinates || !this._hasLocationRestrictions()) {
+                return null;
+            }
+
+            if (!this._isWithinRestrictedArea(coordinates)) {
+                return this._localized.restrictions.outsideArea;
+            }
+
+            const countryCode = (this._countryCodes || {})[this._getCountryCodeKey(coordinates.latitude, coordinates.longitude)];
+
+            if (this._getRestrictedCountries().length > 0 && countryCode !== undefined && this._getRestrictedCountries().indexOf(countryCode) < 0) {
+                return this._formatCountries(this._localized.restrictions.outsideCountries);
+            }
+
+            return null;
+        },
+
+        /**
+         * Checks if a location selected by the user is within the restrictions
+         * If not, an error is displayed and the markers are moved back to the current value
+         * @param {Object} location - Location to check
+         * @returns {Promise<boolean>} True if the location is allowed
+         * @private
+         */
+        _checkLocation: async function (location) {
+            const error = this._hasLocationRestrictions() ? await this._getRestrictionError(location) : null;
+
+            this._showMessage(error);
+
+            if (error) {
+                this._revertMarkerLocation();
+            }
+
+            return !error;
+        },
+
+        /**
+         * Displays an error if the current value is outside the restrictions, for example after restrictions were changed
+         * @private
+         */
+        _checkCurrentLocation: function () {
+            if (!this._hasLocationRestrictions() || this._isMultiple() || this._isDrawingMode()) {
+                return;
+            }
+
+            const coordinates = this._getCoordinates();
+
+            if (!coordinates) {
+                this._showMessage(null);
+                return;
+            }
+
+            const location = this._provider.createLocation(coordinates.latitude, coordinates.longitude);
+
+            this._getRestrictionError(location).then(function (error) {
+                const current = this._getCoordinates();
+
+                // Ignore result if location has changed since the check was started
+                if (current && current.latitude === coordinates.latitude && current.longitude === coordinates.longitude) {
+                    this._showMessage(error);
+                }
+            }.bind(this));
+        },
+
+        /**
+         * Moves markers, circle, and coordinate fields back to the current value, after a location was rejected
+         * @private
+         */
+        _revertMarkerLocation: function () {
+            if (!this._map || this._isDrawingMode()) {
+                return;
+            }
+
+            if (this._isMultiple()) {
+                this._renderMarkers();
+            } else {
+                const coordinates = this._getCoordinates();
+
+                if (coordinates) {
+                    this._setMapLocation(this._provider.createLocation(coordinates.latitude, coordinates.longitude), null, false, false);
+                } else {
+                    this._removeMarker();
+                    this._removeCircle();
+                }
+            }
+
+            this._updateCoordinateFields();
+        },
+
+        /**
+         * Displays an error below the map, such as about a location outside the restrictions or a failed search
+         * @param {string} message - Message to display, or null to hide the message
+         * @param {boolean} [isProgress] - True if the message is about something in progress rather than an error
+         * @private
+         */
+        _showMessage: function (message, isProgress) {
+            this.messageNode.textContent = message || "";
+            domStyle.set(this.messageNode, "display", message ? "" : "none");
+            domClass.toggle(this.messageNode, "google-maps-editor-message--progress", !!(message && isProgress));
+        },
+
+        /**
+         * Replaces the {countries} placeholder in a message with the names of the allowed countries
+         * @param {string} message - Message with a {countries} placeholder
+         * @returns {string} Formatted message
+         * @private
+         */
+        _formatCountries: function (message) {
+            let names = this._getRestrictedCountries();
+
+            try {
+                const displayNames = new Intl.DisplayNames([kernel.locale], { type: "region" });
+                names = names.map(country => displayNames.of(country) || country);
+            } catch (error) {
+                // Fall back to country codes if region names aren't supported for the locale
+            }
+
+            return message.replace("{countries}", names.join(", "));
+        },
+
+        // ==================== Current Location ====================
+
+        /**
+         * Looks up the current location using browser geolocation, then selects it like a search result
+         * In drawing mode, only the map view is moved
+         * @private
+         */
+        _locateCurrentPosition: function () {
+            if (this._locating) {
+                return;
+            }
+
+            this._locating = true;
+            domClass.add(this.locateIcon, "google-maps-editor-map-locate--busy");
+            this._showMessage(this._localized.locate.locating, true);
+
+            const done = function () {
+                this._locating = false;
+                domClass.remove(this.locateIcon, "google-maps-editor-map-locate--busy");
+            }.bind(this);
+
+            navigator.geolocation.getCurrentPosition(async function (position) {
+                if (this._beingDestroyed) {
+                    return;
+                }
+
+                this.log("Current location found", position.coords);
+
+                const location = this._provider.createLocation(position.coords.latitude, position.coords.longitude);
+
+                this._showMessage(null);
+
+                if (!this._isDrawingMode() && !(await this._checkLocation(location))) {
+                    done();
+                    return;
+                }
+
+                this._setMapLocation(location, this._defaultPlaceZoom, true, this._isDrawingMode());
+
+                if (this._isMultiple()) {
+                    this._addMarkerValue(location);
+                } else if (!this._isDrawingMode()) {
+                    this._setCoordinatesValue(location);
+                }
+
+                done();
+            }.bind(this), function (error) {
+                if (this._beingDestroyed) {
+                    return;
+                }
+
+                console.error(`${this._logPrefix} Error looking up current location:`, error);
+
+                const messages = this._localized.locate;
+
+                if (error.code === error.PERMISSION_DENIED) {
+                    this._showMessage(messages.denied);
+                } else if (error.code === error.TIMEOUT) {
+                    this._showMessage(messages.timeout);
+                } else {
+                    this._showMessage(messages.unavailable);
+                }
+
+                done();
+            }.bind(this), {
+                enableHighAccuracy: true, // Field staff want the pin where they are standing, not the nearest cell tower
+                timeout: 15000,
+                maximumAge: 30000
+            });
+        },
+
+        // ==================== Expanded Mode ====================
+
+        /**
+         * Moves the editor into a large dialog, for placing pins precisely
+         * The editor itself is moved, so changes are written to the property as usual
+         * @private
+         */
+        _expand: function () {
+            if (this._expandPlaceholder) {
+                return;
+            }
+
+            if (!this._expandDialog) {
+                this._expandContainer = domConstruct.create("div", { class: "google-maps-editor-expanded" });
+
+                this._expandDialog = new LightWeight({
+                    style: "width: 90vw",
+                    closeIconVisible: true,
+                    showButtonContainer: false,
+                    onButtonClose: function () {
+                        this._expandDialog.hide();
+                    }.bind(this),
+                    _endDrag: function () {
+                    }.bind(this),
+                    title: this._localized.expand.dialogTitle,
+                    content: this._expandContainer
+                });
+
+                // Move the editor back however the dialog is closed, including using Escape
+                this.own(this._expandDialog.on("hide", this._collapse.bind(this)));
+            }
+
+            const center = this._map ? this._provider.getCenter(this._map) : null;
+
+            this._hideSuggestionsDropdown();
+            this._expandPlaceholder = domConstruct.create("div", { style: "display: none" }, this.domNode, "before");
+            domConstruct.place(this.domNode, this._expandContainer);
+            domClass.add(this.domNode, "google-maps-editor--expanded");
+            this.expandIcon.title = this._localized.expand.collapse;
+
+            this._expandDialog.show();
+            this._restoreCenter(center);
+        },
+
+        /**
+         * Moves the editor back from the dialog to the property
+         * @private
+         */
+        _collapse: function () {
+            if (!this._expandPlaceholder) {
+                return;
+            }
+
+            const center = this._map ? this._provider.getCenter(this._map) : null;
+
+            this._hideSuggestionsDropdown();
+
+            if (this._expandPlaceholder.parentNode) {
+                domConstruct.place(this.domNode, this._expandPlaceholder, "replace");
+            }
+
+            this._expandPlaceholder = null;
+            domClass.remove(this.domNode, "google-maps-editor--expanded");
+            this.expandIcon.title = this._localized.expand.tooltip;
+
+            this._restoreCenter(center);
+        },
+
+        /**
+         * Centers the map on a location after the map size has changed
+         * @param {Object} center - Center before the size changed, or null if there is no map
+         * @private
+         */
+        _restoreCenter: function (center) {
+            if (!center) {
+                return;
+            }
+
+            setTimeout(function () {
+                if (this._map) {
+                    this._provider.setCenter(this._map, center);
+                }
+            }.bind(this));
+        },
+
+        // ==================== Street View ====================
+
+        /**
+         * Determines if a Street View preview is displayed, which is only supported when selecting a single point
+         * @returns {boolean} True if the selected location is previewed in Street View
+         * @private
+         */
+        _isStreetViewMode: function () {
+            return !!this.streetViewPreview && !this._isMultiple() && !this._isDrawingMode();
+        },
+
+        /**
+         * Determines if the property stores the Street View point of view alongside the coordinates,
+         * i.e. if it's of type GoogleMapsStreetView
+         * @returns {boolean} True if the point of view is stored in the value
+         * @private
+         */
+        _storesStreetView: function () {
+            return this._isStreetViewMode() && this._hasValueProperty("heading");
+        },
+
+        /**
+         * Creates the Street View preview below the map, unless not supported by the map provider
+         * @private
+         */
+        _createStreetView: function () {
+            if (!this._isStreetViewMode()) {
+                return;
+            }
+
+            this._streetView = this._provider.createStreetView(this.streetViewPanoramaNode, {
+                readOnly: this.readOnly,
+
+                // Save the point of view when the user looks around or moves to another panorama
+                onPovChanged: this.readOnly ? null : function (pov) {
+                    this._setStreetViewValue(pov, true);
+                }.bind(this)
+            });
+
+            if (this._streetView) {
+                domClass.add(this.domNode, "google-maps-editor--street-view");
+            }
+        },
+
+        /**
+         * Shows the panorama nearest to a location in the Street View preview
+         * @param {Object} location - Selected location, or null if none
+         * @param {boolean} [updateValue] - Optional flag to save the point of view of the nearest panorama, for a newly selected location
+         * @private
+         */
+        _refreshStreetView: function (location, updateValue) {
+            if (!this._streetView) {
+                return;
+            }
+
+            const requestId = ++this._streetViewRequestId;
+            const messages = this._localized.streetView;
+
+            if (!location) {
+                this._showStreetViewMessage(messages.noLocation);
+                return;
+            }
+
+            const pov = updateValue ? null : this._getStreetViewPov();
+
+            this._provider.setStreetViewLocation(this._streetView, location, pov).then(function (result) {
+                if (requestId !== this._streetViewRequestId || !this._streetView) {
+                    return; // Superseded by a later lookup, or editor destroyed
+                }
+
+                this._showStreetViewMessage(result ? null : messages.noImagery);
+
+                if (updateValue) {
+                    this._setStreetViewValue(result, false);
+                }
+            }.bind(this), function (error) {
+                console.error(`${this._logPrefix} Error loading Street View:`, error);
+
+                if (requestId === this._streetViewRequestId && this._streetView) {
+                    this._showStreetViewMessage(messages.error);
+                }
+            }.bind(this));
+        },
+
+        /**
+         * Displays a message instead of the panorama, such as when there's no imagery near the location
+         * @param {string} message - Message to display, or null to display the panorama
+         * @private
+         */
+        _showStreetViewMessage: function (message) {
+            this.streetViewMessageNode.textContent = message || "";
+            domStyle.set(this.streetViewMessageNode, "display", message ? "" : "none");
+            domStyle.set(this.streetViewPanoramaNode, "visibility", message ? "hidden" : "");
+        },
+
+        /**
+         * Gets the point of view stored in the current value, if any
+         * @returns {{panoId: string, heading: number, pitch: number, zoom: number}|null} Point of view, or null if none is stored
+         * @private
+         */
+        _getStreetViewPov: function () {
+            if (!this._storesStreetView() || !this.value || !this.value.panoramaId) {
+                return null;
+            }
+
+            return {
+                panoId: this.value.panoramaId,
+                heading: this.value.heading,
+                pitch: this.value.pitch,
+                zoom: this.value.panoramaZoom
+            };
+        },
+
+        /**
+         * Converts a point of view to the properties stored in the value
+         * Angles are rounded to one decimal, as looking around changes them continuously
+         * @param {Object} pov - Point of view, or null for empty values (such as when there's no imagery)
+         * @returns {{panoramaId: string, heading: number, pitch: number, panoramaZoom: number}} Value properties
+         * @private
+         */
+        _toStreetViewValue: function (pov) {
+            const round = number => typeof number === "number" ? Math.round(number * 10) / 10 : null;
+
+            return {
+                "panoramaId": pov && pov.panoId || null,
+                "heading": pov ? round(pov.heading) : null,
+                "pitch": pov ? round(pov.pitch) : null,
+                "panoramaZoom": pov ? round(pov.zoom) : null
+            };
+        },
+
+        /**
+         * Updates the point of view of the current value
+         * Ignored if property doesn't store the point of view, or if the value has no coordinates
+         * @param {Object} pov - Point of view, or null if there's no imagery
+         * @param {boolean} isUserChange - True if changed by the user, which can be undone, rather than found for a new location
+         * @private
+         */
+        _setStreetViewValue: function (pov, isUserChange) {
+            if (!this._storesStreetView() || !this._hasCoordinates()) {
+                return;
+            }
+
+            const value = Object.assign({}, this.value, this._toStreetViewValue(pov));
+
+            if (JSON.stringify(value) === JSON.stringify(this.value)) {
+                return;
+            }
+
+            if (isUserChange) {
+                this._setValueWithHistory(value);
+            } else {
+                this.set("value", value);
+            }
+        },
+
+        // ==================== Map View ====================
+
+        /**
+         * Determines if the zoom level and map center are saved with the location, which is only supported for
+         * local block properties with a single point
+         * @returns {boolean} True if the map view is stored in the value
+         * @private
+         */
+        _storesMapView: function () {
+            return !!this.saveMapView && !this._isMultiple() && !this._isDrawingMode() && this._hasValueProperty("zoom");
+        },
+
+        /**
+         * Listens for the user panning and zooming the map, to save the new map view
+         * Panning and zooming by the editor itself, such as when a value is loaded, doesn't change the value
+         * @private
+         */
+        _setupMapViewTracking: function () {
+            if (!this.saveMapView || this.readOnly) {
+                return;
+            }
+
+            const inputHandler = on(this.canvas, "pointerdown, wheel, keydown", function () {
+                this._mapViewChangedByUser = true;
+            }.bind(this));
+
+            const viewChangedHandler = this._provider.onViewChanged(this._map, function () {
+                if (this._mapViewChangedByUser) {
+                    this._mapViewChangedByUser = false;
+                    this._setMapViewValue();
+                }
+            }.bind(this));
+
+            this.own(inputHandler, viewChangedHandler);
+        },
+
+        /**
+         * Gets the map view stored in the current value, if any
+         * @returns {{zoom: number, center: Object}|null} Zoom level and map center (null if centered on the location), or null if none is stored
+         * @private
+         */
+        _getMapView: function () {
+            if (!this._storesMapView() || !this.value || typeof this.value.zoom !== "number") {
+                return null;
+            }
+
+            const hasCenter = typeof this.value.centerLatitude === "number" && typeof this.value.centerLongitude === "number";
+
+            return {
+                zoom: this.value.zoom,
+                center: hasCenter ? this._provider.createLocation(this.value.centerLatitude, this.value.centerLongitude) : null
+            };
+        },
+
+        /**
+         * Converts the current map view to the properties stored in the value
+         * The center is only stored if the map isn't centered on the location
+         * @param {Object} location - Selected location, or null for empty values
+         * @returns {{zoom: number, centerLatitude: number, centerLongitude: number}} Value properties
+         * @private
+         */
+        _toMapViewValue: function (location) {
+            if (!location || !this._map) {
+                return {
+                    "zoom": null,
+                    "centerLatitude": null,
+                    "centerLongitude": null
+                };
+            }
+
+            const round = this._roundCoordinate;
+
+            const center = this._provider.getCenter(this._map);
+            const isCentered = round(center.lat()) === round(location.lat()) && round(center.lng()) === round(location.lng());
+
+            return {
+                "zoom": Math.round(this._provider.getZoom(this._map)),
+                "centerLatitude": isCentered ? null : round(center.lat()),
+                "centerLongitude": isCentered ? null : round(center.lng())
+            };
+        },
+
+        /**
+         * Updates the map view of the current value, after the user has panned or zoomed the map
+         * Ignored if property doesn't store the map view, or if the value has no coordinates
+         * @private
+         */
+        _setMapViewValue: function () {
+            if (!this._storesMapView() || !this._hasCoordinates()) {
+                return;
+            }
+
+            const coordinates = this._getCoordinates();
+            const location = this._provider.createLocation(coordinates.latitude, coordinates.longitude);
+            const value = Object.assign({}, this.value, this._toMapViewValue(location));
+
+            if (JSON.stringify(value) !== JSON.stringify(this.value)) {
+                this.set("value", value);
+            }
+        },
+
+        /**
+         * Gets the zoom level to show a selected place at, based on its viewport if known
+         * @param {{viewport: {north: number, south: number, east: number, west: number}}} place - Place from the map provider
+         * @returns {number} Zoom level (1-20)
+         * @private
+         */
+        _getPlaceZoom: function (place) {
+            const zoom = place.viewport ? this._getZoomForBounds(place.viewport) : null;
+
+            return zoom ? Math.min(zoom, this._maxPlaceZoom) : this._defaultPlaceZoom;
+        },
+
+        /**
+         * Calculates the highest zoom level where bounds fit within the map
+         * Both map providers use 256 pixel Web Mercator tiles, so the calculation is the same for both
+         * @param {{north: number, south: number, east: number, west: number}} bounds - Bounds to fit
+         * @returns {number|null} Zoom level, or null if the map isn't displayed
+         * @private
+         */
+        _getZoomForBounds: function (bounds) {
+            const width = this.canvas.offsetWidth,
+                  height = this.canvas.offsetHeight;
+
+            if (!width || !height) {
+                return null;
+            }
+
+            const toMercatorY = function (latitude) {
+                const sin = Math.sin(latitude * Math.PI / 180);
+                const y = Math.log((1 + sin) / (1 - sin)) / 2;
+                return Math.max(Math.min(y, Math.PI), -Math.PI) / 2;
+            };
+
+            const longitudeSpan = bounds.east - bounds.west;
+            const longitudeFraction = (longitudeSpan < 0 ? longitudeSpan + 360 : longitudeSpan) / 360; // Bounds crossing the antimeridian
+            const latitudeFraction = (toMercatorY(bounds.north) - toMercatorY(bounds.south)) / Math.PI;
+
+            const toZoom = (pixels, fraction) => fraction > 0 ? Math.floor(Math.log(pixels / 256 / fraction) / Math.LN2) : Infinity;
+
+            const zoom = Math.min(toZoom(width, longitudeFraction), toZoom(height, latitudeFraction));
+
+            return isFinite(zoom) ? Math.max(zoom, 1) : null;
+        },
+
+        // ==================== Master Language ====================
+
+        /**
+         * Listens for clicks on the button for using the master language location
+         * @private
+         */
+        _setupMasterLanguage: function () {
+            const useHandler = on(this.masterLanguageButton, "click", function (e) {
+                e.preventDefault();
+                this._useMasterLanguageLocation();
+            }.bind(this));
+
+            this.own(useHandler);
+        },
+
+        /**
+         * Gets the location of the property in the master language, for culture-specific properties edited in another language
+         * Only supported when selecting a single point
+         * @returns {Object} Master language location, or null if none
+         * @private
+         */
+        _getMasterLanguageLocation: function () {
+            if (!this.masterLanguage || !this.masterLanguage.location || this._isMultiple() || this._isDrawingMode()) {
+                return null;
+            }
+
+            return this._provider.createLocation(this.masterLanguage.location.latitude, this.masterLanguage.location.longitude);
+        },
+
+        /**
+         * Displays the master language location if the property has no location in the current language
+         * @private
+         */
+        _refreshMasterLanguage: function () {
+            const showFallback = !!(this.masterLanguage && this.masterLanguage.location) && !this._isMultiple() && !this._isDrawingMode() && !this._hasCoordinates();
+
+            domStyle.set(this.masterLanguageNode, "display", showFallback ? "" : "none");
+
+            if (!showFallback) {
+                return;
+            }
+
+            const messages = this._localized.masterLanguage;
+            const location = this.masterLanguage.location;
+            const coordinates = `${Number(location.latitude).toFixed(6)}, ${Number(location.longitude).toFixed(6)}`;
+
+            let language = this.masterLanguage.language;
+
+            try {
+                language = new Intl.DisplayNames([kernel.locale], { type: "language" }).of(language) || language;
+            } catch (error) {
+                // Fall back to the language code if language names aren't supported for the locale
+            }
+
+            this.masterLanguageTextNode.textContent = messages.empty
+                .replace("{language}", language)
+                .replace("{coordinates}", coordinates);
+
+            this.masterLanguageButton.textContent = messages.use.replace("{language}", language);
+            domStyle.set(this.masterLanguageButton, "display", this.readOnly ? "none" : "");
+        },
+
+        /**
+         * Selects the master language location for the current language
+         * @private
+         */
+        _useMasterLanguageLocation: function () {
+            const location = this._getMasterLanguageLocation();
+
+            if (!location || this.readOnly) {
+                return;
+            }
+
+            this._setMapLocation(location, null, true, false);
+            this._setCoordinatesValue(location);
+        },
+
+        // ==================== Undo & Redo ====================
+
+        /**
+         * Sets a value changed by the user, keeping the previous value for undo
+         * Place details added by reverse geocoding are not separate steps, they are set directly, and neither is
+         * the Street View point of view found for a new location
+         * @param {*} value - New value
+         * @private
+         */
+        _setValueWithHistory: function (value) {
+            const previousValue = this._cloneValue(this.value);
+
+            if (this._undoValues && JSON.stringify(previousValue) !== JSON.stringify(value)) {
+                this._undoValues.push(previousValue);
+
+                if (this._undoValues.length > this._maxHistoryLength) {
+                    this._undoValues.shift();
+                }
+
+                this._redoValues = [];
+            }
+
+            this.set("value", value);
+            this._updateHistoryButtons();
+        },
+
+        /**
+         * Restores the previous value, if any
+         * @private
+         */
+        _undo: function () {
+            if (!this._undoValues || this._undoValues.length === 0) {
+                return;
+            }
+
+            this._redoValues.push(this._cloneValue(this.value));
+            this._applyHistoryValue(this._undoValues.pop());
+        },
+
+        /**
+         * Restores the most recently undone value, if any
+         * @private
+         */
+        _redo: function () {
+            if (!this._redoValues || this._redoValues.length === 0) {
+                return;
+            }
+
+            this._undoValues.push(this._cloneValue(this.value));
+            this._applyHistoryValue(this._redoValues.pop());
+        },
+
+        /**
+         * Sets a value from the history, and moves markers, circle, shape, and map view to match it
+         * @param {*} value - Value to restore
+         * @private
+         */
+        _applyHistoryValue: function (value) {
+            this._showMessage(null);
+
+            // Markers, circle, and shape are recreated from the value when it's set
+            if (this._isMultiple()) {
+                this.set("value", value);
+
+                if (this._selectedMarkerIndex >= this._getMarkerValues().length) {
+                    this._selectedMarkerIndex = -1;
+                    this._renderMarkers();
+                    this._renderMarkerList();
+                }
+
+                if (this._map) {
+                    this._fitMarkers();
+                }
+            } else {
+                this._removeMarker();
+                this._removeCircle();
+                this._removeShape();
+                this.set("value", value);
+            }
+
+            this._updateHistoryButtons();
+        },
+
+        /**
+         * Copies a value, so later changes to the current value don't affect the history
+         * @param {*} value - Value to copy
+         * @returns {*} Copy of the value
+         * @private
+         */
+        _cloneValue: function (value) {
+            return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+        },
+
+        /**
+         * Enables or disables the undo and redo buttons depending on the history
+         * @private
+         */
+        _updateHistoryButtons: function () {
+            if (!this._undoValues) {
+                return;
+            }
+
+            domClass.toggle(this.undoIcon, "google-maps-editor-map-history--disabled", this._undoValues.length === 0);
+            domClass.toggle(this.redoIcon, "google-maps-editor-map-history--disabled", this._redoValues.length === 0);
+        },
+
+        // ==================== Latitude & Longitude Fields ====================
+
+        /**
+         * Sets up the latitude and longitude fields, which update the map when edited
+         * @private
+         */
+        _setupCoordinateFields: function () {
+            const textboxes = [this.latitudeTextbox, this.longitudeTextbox];
+
+            this.latitudeTextbox.set("invalidMessage", this._localized.invalidLatitude);
+            this.longitudeTextbox.set("invalidMessage", this._localized.invalidLongitude);
+
+            this.latitudeTextbox.validator = function (value) {
+                return !value || this._parseCoordinate(value, true) !== null || this._parseCoordinatePair(value) !== null;
+            }.bind(this);
+
+            this.longitudeTextbox.validator = function (value) {
+                return !value || this._parseCoordinate(value, false) !== null || this._parseCoordinatePair(value) !== null;
+            }.bind(this);
+
+            if (this.readOnly) {
+                textboxes.forEach(textbox => textbox.set("readOnly", true));
+                return;
+            }
+
+            textboxes.forEach(function (textbox) {
+                const changeHandler = textbox.on("change", function () {
+                    this._applyCoordinateFields(textbox);
+                }.bind(this));
+
+                const keydownHandler = on(textbox.textbox, "keydown", function (e) {
+                    if (e.keyCode === keys.ENTER) {
+                        // Stop propagation to avoid submitting any dialog the editor is displayed in
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this._applyCoordinateFields(textbox);
+                    }
+                }.bind(this));
+
+                this.own(changeHandler, keydownHandler);
+            }, this);
+        },
+
+        /**
+         * Updates the latitude and longitude fields to match the current value
+         * Fields are updated without triggering change events
+         * @private
+         */
+        _updateCoordinateFields: function () {
+            if (!this.latitudeTextbox || !this.longitudeTextbox || this._isDrawingMode()) {
+                return;
+            }
+
+            const coordinates = this._getCoordinates();
+
+            this.latitudeTextbox.set("value", coordinates ? String(coordinates.latitude) : "", false);
+            this.longitudeTextbox.set("value", coordinates ? String(coordinates.longitude) : "", false);
+
+            if (this._isCircleMode()) {
+                this.radiusTextbox.set("value", coordinates ? this._formatRadius(this._getRadius()) : "", false);
+            }
+        },
+
+        /**
+         * Moves the marker and updates the value based on the latitude and longitude fields
+         * A pair of coordinates entered in either field is split across both fields
+         * @param {dijit/form/ValidationTextBox} changedTextbox - The field that was edited
+         * @private
+         */
+        _applyCoordinateFields: function (changedTextbox) {
+            const pair = this._parseCoordinatePair(changedTextbox.get("value"));
+
+            if (pair) {
+                this.latitudeTextbox.set("value", String(pair.latitude), false);
+                this.longitudeTextbox.set("value", String(pair.longitude), false);
+            }
+
+            const latitudeText = this.latitudeTextbox.get("value").trim(),
+                  longitudeText = this.longitudeTextbox.get("value").trim();
+
+            if (!latitudeText && !longitudeText) {
+                if (this._hasCoordinates()) {
+                    this._clearCoordinates();
+                }
+                return;
+            }
+
+            const latitude = this._parseCoordinate(latitudeText, true),
+                  longitude = this._parseCoordinate(longitudeText, false);
+
+            if (latitude === null || longitude === null) {
+                // Wait for both fields to have valid values
+                return;
+            }
+
+            const current = this._getCoordinates();
+
+            if (current && current.latitude === latitude && current.longitude === longitude) {
+                return;
+            }
+
+            const location = this._provider.createLocation(latitude, longitude);
+
+            this._checkLocation(location).then(function (allowed) {
+                if (allowed) {
+                    this._setMapLocation(location, null, true, false);
+                    this._setCoordinatesValue(location);
+                }
+            }.bind(this));
+        },
+
+        /**
+         * Parses a single coordinate, either in decimal degrees (59.3356) or in
+         * degrees, minutes and seconds with an optional hemisphere (59°20'08"N)
+         * @param {string} text - Text to parse
+         * @param {boolean} isLatitude - True to parse a latitude, false to parse a longitude
+         * @returns {number|null} Coordinate in decimal degrees, or null if text isn't a valid coordinate
+         * @private
+         */
+        _parseCoordinate: function (text, isLatitude) {
+            if (!text) {
+                return null;
+            }
+
+            const component = this._parseCoordinateComponent(text.trim());
+
+            if (!component) {
+                return null;
+            }
+
+            const hemispheres = isLatitude ? "NS" : "EW";
+
+            if (component.hemisphere && hemispheres.indexOf(component.hemisphere) === -1) {
+                return null;
+            }
+
+            const max = isLatitude ? 90 : 180;
+
+            return Math.abs(component.value) <= max ? component.value : null;
+        },
+
+        /**
+         * Parses a latitude and longitude pair, such as "59.33, 18.03" or "59°20'N 18°01'E"
+         * @param {string} text - Text to parse
+         * @returns {{latitude: number, longitude: number}|null} Coordinates, or null if text isn't a valid pair
+         * @private
+         */
+        _parseCoordinatePair: function (text) {
+            if (!text) {
+                return null;
+            }
+
+            const decimal = "[-+]?\\d+(?:\\.\\d+)?",
+                  dms = "\\d+(?:\\.\\d+)?\\s*(?:°\\s*(?:\\d+(?:\\.\\d+)?\\s*['′]\\s*)?(?:\\d+(?:\\.\\d+)?\\s*(?:\"|″|'')\\s*)?)?";
+
+            const patterns = [
+                new RegExp(`^(${decimal})\\s*[,;\\s]\\s*(${decimal})$`), // 59.33, 18.03
+                new RegExp(`^(${dms}[NSEW])\\s*[,;]?\\s*(${dms}[NSEW])$`, "i"), // 59°20'N 18°01'E
+                new RegExp(`^([NSEW]\\s*${dms})\\s*[,;]?\\s*([NSEW]\\s*${dms})$`, "i") // N 59°20' E 18°01'
+            ];
+
+            text = text.trim();
+
+            for (const pattern of patterns) {
+                const match = pattern.exec(text);
+
+                if (!match) {
+                    continue;
+                }
+
+                let first = this._parseCoordinateComponent(match[1].trim()),
+                    second = this._parseCoordinateComponent(match[2].trim());
+
+                if (!first || !second) {
+                    return null;
+                }
+
+                // Allow longitude to be specified first when hemispheres are specified, e.g. "18°01'E 59°20'N"
+                if (first.hemisphere && "EW".indexOf(first.hemisphere) !== -1) {
+                    [first, second] = [second, first];
+                }
+
+                if ((first.hemisphere && "NS".indexOf(first.hemisphere) === -1) ||
+                    (second.hemisphere && "EW".indexOf(second.hemisphere) === -1)) {
+                    return null;
+                }
+
+                if (Math.abs(first.value) > 90 || Math.abs(second.value) > 180) {
+                    return null;
+                }
+
+                return {
+                    latitude: first.value,
+                    longitude: second.value
+                };
+            }
+
+            return null;
+        },
+
+        /**
+         * Parses a single coordinate component in decimal degrees or degrees, minutes and seconds
+         * @param {string} text - Text to parse, such as "-33.86", "59°20'08\"N" or "E 18°01'"
+         * @returns {{value: number, hemisphere: string|null}|null} Signed decimal degrees and hemisphere (N, S, E, W), if any
+         * @private
+         */
+        _parseCoordinateComponent: function (text) {
+            const pattern = /^([NSEW])?\s*([-+])?(\d+(?:\.\d+)?)\s*(?:°\s*(?:(\d+(?:\.\d+)?)\s*['′]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:"|″|'')\s*)?)?([NSEW])?$/i;
+            const match = pattern.exec(text);
+
+            if (!match || (match[1] && match[6])) {
+                return null;
+            }
+
+            const hemisphere = (match[1] || match[6] || "").toUpperCase() || null;
+
+            if (hemisphere && match[2]) {
+                // Sign and hemisphere are mutually exclusive
+                return null;
+            }
+
+            const minutes = match[4] ? parseFloat(match[4]) : 0,
+                  seconds = match[5] ? parseFloat(match[5]) : 0;
+
+            if (minutes >= 60 || seconds >= 60) {
+                return null;
+            }
+
+            let value = parseFloat(match[3]) + minutes / 60 + seconds / 3600;
+
+            if (match[2] === "-" || hemisphere === "S" || hemisphere === "W") {
+                value = -value;
+            }
+
+            return {
+                value: value,
+                hemisphere: hemisphere
+            };
+        },
+
+        // ==================== Coordinate & Map Management ====================
+
+        /**
+         * Updates the widget value with the given location
+         * Automatically converts between object and string formats
+         * If place details are stored but not known, the value is updated once the address has been looked up,
+         * so that the location and its address are a single change (and a single undo step)
+         * @param {Object} location - The location to set
+         * @param {{placeId: string, displayName: string, formattedAddress: string}} [placeDetails] - Optional details of the place at the location, if already known (otherwise reverse geocoded)
+         * @private
+         */
+        _setCoordinatesValue: function (location, placeDetails) {
+            if (!this._started) {
+                return;
+            }
+
+            if (this._isMultiple()) {
+                this._setSelectedMarkerValue(location, placeDetails);
+                return;
+            }
+
+            let value = null;
+
+            if (!location) {
+                if (this._isComplexType()) {
+                    // Set "empty" value (still an object for local block properties)
+                    value = {
+                        "latitude": null,
+                        "longitude": null
+                    };
+
+                    if (this._storesPlaceDetails()) {
+                        Object.assign(value, this._toPlaceDetailsValue(null));
+                    }
+
+                    if (this._storesStreetView()) {
+                        Object.assign(value, this._toStreetViewValue(null));
+                    }
+
+                    if (this._storesMapView()) {
+                        Object.assign(value, this._toMapViewValue(null));
+                    }
+
+                    if (this._isCircleMode()) {
+                        value.radius = null;
+                    }
+                }
+            }
+            else { // Has a location
+                const longitude = location.lng(),
+                      latitude = location.lat();
+
+                if (longitude === undefined || latitude === undefined) {
+                    console.error(`${this._logPrefix} Unexpectedly missing longitude and/or latitude coordinate`);
+                    return;
+                }
+
+                if (this._isComplexType()) {
+                    value = {
+                        "latitude": this._roundCoordinate(parseFloat(latitude)),
+                        "longitude": this._roundCoordinate(parseFloat(longitude))
+                    };
+
+                    if (this._storesPlaceDetails()) {
+                        Object.assign(value, this._toPlaceDetailsValue(placeDetails));
+                    }
+
+                    if (this._storesStreetView()) {
+                        // Replaced by the point of view of the nearest panorama, see _refreshStreetView()
+                        Object.assign(value, this._toStreetViewValue(null));
+                    }
+
+                    if (this._isCircleMode()) {
+                        value.radius = this._getRadius();
+                        this._setCircle(location, value.radius);
+                    }
+
+                    if (this._storesMapView()) {
+                        Object.assign(value, this._toMapViewValue(location));
+                    }
+                } else {
+                    value = this._formatStringValue(parseFloat(latitude), parseFloat(longitude));
+                }
+            }
+
+            if (location && this._storesPlaceDetails() && !(placeDetails && placeDetails.formattedAddress)) {
+                const requestId = ++this._addressRequestId;
+
+                this._reverseGeocode(location).then(function (details) {
+                    // Ignore response if location has changed since the request was made
+                    if (requestId !== this._addressRequestId) {
+                        return;
+                    }
+
+                    Object.assign(value, this._toPlaceDetailsValue(details));
+
+                    this._showAddress(details ? details.formattedAddress : this._localized.noAddress);
+                    this._setValueWithHistory(value);
+                    this._refreshStreetView(location, true);
+                }.bind(this));
+
+                return;
+            }
+
+            this._setValueWithHistory(value);
+
+            this._refreshAddress(location, placeDetails);
+            this._refreshStreetView(location, true);
+        },
+
+        /**
+         * Determines if the property stores place details (place ID, display name, and address) alongside
+         * the coordinates, i.e. if it's of type GoogleMapsPlace rather than GoogleMapsCoordinates
+         * @returns {boolean} True if place details are stored in the value
+         * @private
+         */
+        _storesPlaceDetails: function () {
+            return !this._isMultiple() && this._hasValueProperty("placeId");
+        },
+
+        /**
+         * Determines if the value has a property, either in the current value or in the property metadata
+         * @param {string} name - Property name, such as "placeId"
+         * @returns {boolean} True if the value has the property
+         * @private
+         */
+        _hasValueProperty: function (name) {
+            if (this.value && typeof this.value === "object" && name in this.value) {
+                return true;
+            }
+
+            if (Array.isArray(this.valueProperties)) {
+                return this.valueProperties.some(property => property.toLowerCase() === name.toLowerCase());
+            }
+
+            const properties = Array.isArray(this.properties) ? this.properties :
+                               this.metadata && Array.isArray(this.metadata.properties) ? this.metadata.properties : [];
+
+            return properties.some(property => typeof property.name === "string" && property.name.toLowerCase() === name.toLowerCase());
+        },
+
+        /**
+         * Gets the place details stored in the current value, if any
+         * @returns {{placeId: string, displayName: string, formattedAddress: string}|null} Place details, or null if none are stored
+         * @private
+         */
+        _getPlaceDetails: function () {
+            if (!this._storesPlaceDetails() || !this.value || !this.value.formattedAddress) {
+                return null;
+            }
+
+            return this._toPlaceDetailsValue(this.value);
+        },
+
+        /**
+         * Converts place details to the properties stored in the value
+         * @param {Object} placeDetails - Place details, or null for empty values
+         * @returns {{placeId: string, displayName: string, formattedAddress: string}} Value properties
+         * @private
+         */
+        _toPlaceDetailsValue: function (placeDetails) {
+            return {
+                "placeId": placeDetails && placeDetails.placeId || null,
+                "displayName": placeDetails && placeDetails.displayName || null,
+                "formattedAddress": placeDetails && placeDetails.formattedAddress || null
+            };
+        },
+
+        /**
+         * Updates map marker position and/or map view
+         * @param {Object} location - Target location
+         * @param {number} [zoom] - Optional zoom level (1-20)
+         * @param {boolean} [center] - Optional flag to center map on location
+         * @param {boolean} [skipMarker] - Optional flag to skip marker placement
+         * @private
+         */
+        _setMapLocation: function (location, zoom, center, skipMarker) {
+            if (!this._map) {
+                return;
+            }
+
+            // Markers are rendered from the value when multiple markers are allowed
+            if (!skipMarker && !this._isMultiple()) {
+                if (!this._marker) {
+                    this._createMarker(location);
+                } else {
+                    this._provider.setMarkerPosition(this._marker, location);
+                }
+
+                if (this._isCircleMode()) {
+                    this._setCircle(location, this._getRadius());
+                }
+            }
+
+            // Center on the location (optional)
+            if (center) {
+                this._provider.setCenter(this._map, location);
+            }
+
+            // Set map zoom level (optional)
+            if (zoom) {
+                this._provider.setZoom(this._map, zoom);
+            }
+        },
+
+        /**
+         * Creates the map marker, which can be dragged to adjust its position unless property is readonly
+         * @param {Object} location - Marker location
+         * @private
+         */
+        _createMarker: function (location) {
+            this._marker = this._provider.createMarker(this._map, location, {
+                draggable: !this.readOnly,
+
+                // Update coordinates when marker is dropped in a new position
+                onDragEnd: this.readOnly ? null : function (newLocation) {
+                    this._checkLocation(newLocation).then(function (allowed) {
+                        if (allowed) {
+                            this._setCoordinatesValue(newLocation);
+                        }
+                    }.bind(this));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Removes the map marker, including its event listeners
+         * @private
+         */
+        _removeMarker: function () {
+            if (this._marker) {
+                this._provider.removeMarker(this._marker);
+                this._marker = null;
+            }
+        },
+
+        /**
+         * Refreshes marker location based on current widget value
+         * Called on initial load and when value changes externally
+         * @private
+         */
+        _refreshMarkerLocation: function () {
+            if (!this._map) {
+                // Map not initialized;
+                return;
+            }
+
+            if (this._isMultiple()) {
+                this._renderMarkers();
+                this._renderMarkerList();
+                this._fitMarkers();
+                return;
+            }
+
+            if (this._isDrawingMode()) {
+                this._renderShape();
+                this._fitShape();
+                return;
+            }
+
+            let location;
+
+            // If the value set is empty then clear the coordinates
+            if (!this._hasCoordinates()) {
+                // Set map location to the master language location, if any, otherwise to default coordinates
+                const fallback = this._getMasterLanguageLocation();
+
+                location = fallback || this._provider.createLocation(this.defaultCoordinates.latitude, this.defaultCoordinates.longitude);
+                this._setMapLocation(location, null, true, true);
+                this._removeCircle();
+                this._refreshAddress(null);
+                this._refreshStreetView(null);
+                this._showMessage(null);
+                return;
+            }
+
+            const coordinates = this._getCoordinates();
+            const mapView = this._getMapView();
+
+            location = this._provider.createLocation(coordinates.latitude, coordinates.longitude);
+            this._setMapLocation(location, mapView ? mapView.zoom : null, true, false);
+            this._refreshAddress(location, this._getPlaceDetails());
+            this._refreshStreetView(location, false);
+            this._checkCurrentLocation();
+
+            // Reopen with the saved framing, otherwise show the whole circle
+            if (mapView && mapView.center) {
+                this._provider.setCenter(this._map, mapView.center);
+            } else if (this._circle && !mapView) {
+                this._provider.fitBounds(this._map, this._provider.getCircleBounds(this._circle));
+            }
+
+            // Panning and zooming above isn't made by the user
+            this._mapViewChangedByUser = false;
+        },
+
+        // ==================== Multiple Markers ====================
+
+        /**
+         * Determines if multiple markers are allowed, i.e. if the value is a list of locations
+         * @returns {boolean} True if multiple markers are allowed
+         * @private
+         */
+        _isMultiple: function () {
+            return !!this.allowMultiple;
+        },
+
+        /**
+         * Gets the list of markers in the current value
+         * @returns {Array<{latitude: number, longitude: number, label: string}>} Marker values
+         * @private
+         */
+        _getMarkerValues: function () {
+            return Array.isArray(this.value) ? this.value : [];
+        },
+
+        /**
+         * Sets the list of markers as the widget value
+         * @param {Array<{latitude: number, longitude: number, label: string}>} markerValues - Marker values
+         * @private
+         */
+        _setMarkerValues: function (markerValues) {
+            this._setValueWithHistory(markerValues);
+        },
+
+        /**
+         * Converts a location to a marker value
+         * @param {Object} location - Marker location
+         * @param {string} [label] - Optional marker label
+         * @returns {{latitude: number, longitude: number, label: string}} Marker value
+         * @private
+         */
+        _toMarkerValue: function (location, label) {
+            return {
+                "latitude": this._roundCoordinate(parseFloat(location.lat())),
+                "longitude": this._roundCoordinate(parseFloat(location.lng())),
+                "label": label || null
+            };
+        },
+
+        /**
+         * Adds a marker at the given location and selects it, unless the maximum number of markers has been reached
+         * @param {Object} location - Marker location
+         * @param {{placeId: string, displayName: string, formattedAddress: string}} [placeDetails] - Optional place details, display name is used as label
+         * @private
+         */
+        _addMarkerValue: function (location, placeDetails) {
+            const markerValues = this._getMarkerValues();
+
+            if (this.maxMarkers > 0 && markerValues.length >= this.maxMarkers) {
+                this._showMarkerListMessage(this._formatMarkerCount(this._localized.markers.maxReached, this.maxMarkers));
+                return;
+            }
+
+            this._selectedMarkerIndex = markerValues.length;
+            this._setMarkerValues(markerValues.concat([this._toMarkerValue(location, placeDetails && placeDetails.displayName)]));
+            this._refreshAddress(location, placeDetails);
+        },
+
+        /**
+         * Moves the selected marker to the given location, or adds a new marker if none is selected
+         * Removes the selected marker if location is empty
+         * @param {Object} location - The location to set
+         * @param {{placeId: string, displayName: string, formattedAddress: string}} [placeDetails] - Optional place details
+         * @private
+         */
+        _setSelectedMarkerValue: function (location, placeDetails) {
+            if (!location) {
+                if (this._selectedMarkerIndex >= 0) {
+                    this._removeMarkerValue(this._selectedMarkerIndex);
+                }
+                return;
+            }
+
+            if (this._selectedMarkerIndex < 0) {
+                this._addMarkerValue(location, placeDetails);
+                return;
+            }
+
+            this._updateMarkerValue(this._selectedMarkerIndex, location);
+            this._refreshAddress(location, placeDetails);
+        },
+
+        /**
+         * Moves a marker to a new location
+         * @param {number} index - Index of the marker
+         * @param {Object} location - New location
+         * @private
+         */
+        _updateMarkerValue: function (index, location) {
+            const markerValues = this._getMarkerValues().slice();
+
+            markerValues[index] = Object.assign({}, markerValues[index], {
+                "latitude": this._roundCoordinate(parseFloat(location.lat())),
+                "longitude": this._roundCoordinate(parseFloat(location.lng()))
+            });
+
+            this._setMarkerValues(markerValues);
+        },
+
+        /**
+         * Removes a marker, and deselects it if it was selected
+         * @param {number} index - Index of the marker
+         * @private
+         */
+        _removeMarkerValue: function (index) {
+            const markerValues = this._getMarkerValues().slice();
+
+            markerValues.splice(index, 1);
+
+            if (this._selectedMarkerIndex === index) {
+                this._selectedMarkerIndex = -1;
+                this._refreshAddress(null);
+            } else if (this._selectedMarkerIndex > index) {
+                this._selectedMarkerIndex--;
+            }
+
+            this._setMarkerValues(markerValues);
+        },
+
+        /**
+         * Moves a marker up or down in the list
+         * @param {number} index - Index of the marker
+         * @param {number} step - Number of positions to move (-1 = up, 1 = down)
+         * @private
+         */
+        _moveMarkerValue: function (index, step) {
+            const markerValues = this._getMarkerValues().slice(),
+                  newIndex = index + step;
+
+            if (newIndex < 0 || newIndex >= markerValues.length) {
+                return;
+            }
+
+            const [markerValue] = markerValues.splice(index, 1);
+            markerValues.splice(newIndex, 0, markerValue);
+
+            if (this._selectedMarkerIndex === index) {
+                this._selectedMarkerIndex = newIndex;
+            } else if (this._selectedMarkerIndex === newIndex) {
+                this._selectedMarkerIndex = index;
+            }
+
+            this._setMarkerValues(markerValues);
+        },
+
+        /**
+         * Sets the label of a marker without re-rendering the marker list (to keep focus in the label field)
+         * @param {number} index - Index of the marker
+         * @param {string} label - New label
+         * @private
+         */
+        _setMarkerLabel: function (index, label) {
+            const markerValues = this._getMarkerValues().slice();
+
+            if (!markerValues[index]) {
+                return;
+            }
+
+            markerValues[index] = Object.assign({}, markerValues[index], { "label": label || null });
+
+            this._skipMarkerListRender = true;
+            this._setMarkerValues(markerValues);
+        },
+
+        /**
+         * Selects a marker, highlighting it on the map and in the list
+         * @param {number} index - Index of the marker (-1 = none)
+         * @param {boolean} [center] - Optional flag to center the map on the marker
+         * @private
+         */
+        _selectMarker: function (index, center) {
+            if (index === this._selectedMarkerIndex && !center) {
+                return;
+            }
+
+            this._selectedMarkerIndex = index;
+
+            this._renderMarkers();
+            this._updateMarkerListSelection();
+            this._updateCoordinateFields();
+
+            const coordinates = this._getCoordinates();
+
+            if (!coordinates || !this._map) {
+                this._refreshAddress(null);
+                return;
+            }
+
+            const location = this._provider.createLocation(coordinates.latitude, coordinates.longitude);
+
+            if (center) {
+                this._provider.setCenter(this._map, location, true);
+            }
+
+            this._refreshAddress(location);
+        },
+
+        /**
+         * Renders a map marker for each location in the value, numbered in list order
+         * @private
+         */
+        _renderMarkers: function () {
+            if (!this._map) {
+                return;
+            }
+
+            this._removeMarkers();
+
+            this._getMarkerValues().forEach(function (markerValue, index) {
+                if (!markerValue || markerValue.latitude === null || markerValue.longitude === null) {
+                    return;
+                }
+
+                const location = this._provider.createLocation(markerValue.latitude, markerValue.longitude);
+
+                const marker = this._provider.createMarker(this._map, location, {
+                    draggable: !this.readOnly,
+                    title: markerValue.label || "",
+                    label: String(index + 1),
+                    selected: index === this._selectedMarkerIndex,
+
+                    onClick: function () {
+                        this._selectMarker(index, false);
+                    }.bind(this),
+
+                    // Update coordinates when marker is dropped in a new position
+                    onDragEnd: this.readOnly ? null : function (newLocation) {
+                        this._checkLocation(newLocation).then(function (allowed) {
+                            if (allowed) {
+                                this._selectedMarkerIndex = index;
+                                this._updateMarkerValue(index, newLocation);
+                                this._refreshAddress(newLocation);
+                            }
+                        }.bind(this));
+                    }.bind(this)
+                });
+
+                this._markers.push(marker);
+            }, this);
+        },
+
+        /**
+         * Removes all map markers rendered for multiple markers, including their event listeners
+         * @private
+         */
+        _removeMarkers: function () {
+            (this._markers || []).forEach(marker => this._provider.removeMarker(marker));
+
+            this._markers = [];
+        },
+
+        /**
+         * Adjusts the map view to show all markers, or the default coordinates if there are none
+         * @private
+         */
+        _fitMarkers: function () {
+            const locations = this._getMarkerValues()
+                .filter(markerValue => markerValue && markerValue.latitude !== null && markerValue.longitude !== null)
+                .map(markerValue => this._provider.createLocation(markerValue.latitude, markerValue.longitude));
+
+            if (locations.length === 0) {
+                const location = this._provider.createLocation(this.defaultCoordinates.latitude, this.defaultCoordinates.longitude);
+                this._setMapLocation(location, null, true, true);
+                return;
+            }
+
+            if (locations.length === 1) {
+                this._setMapLocation(locations[0], null, true, true);
+                return;
+            }
+
+            this._provider.fitBounds(this._map, locations);
+        },
+
+        /**
+         * Renders the list of markers below the map, where markers can be selected, labeled, reordered, and removed
+         * @private
+         */
+        _renderMarkerList: function () {
+            if (!this._isMultiple() || !this.markerListNode) {
+                return;
+            }
+
+            if (this._skipMarkerListRender) {
+                this._skipMarkerListRender = false;
+                return;
+            }
+
+            domConstruct.empty(this.markerListNode);
+
+            const markerValues = this._getMarkerValues();
+
+            markerValues.forEach(function (markerValue, index) {
+                const item = domConstruct.create("li", {
+                    class: "google-maps-editor-marker" + (index === this._selectedMarkerIndex ? " selected" : "")
+                }, this.markerListNode);
+
+                domConstruct.create("span", {
+                    class: "google-maps-editor-marker-number",
+                    textContent: String(index + 1)
+                }, item);
+
+                const labelInput = domConstruct.create("input", {
+                    type: "text",
+                    class: "google-maps-editor-marker-label",
+                    value: markerValue.label || "",
+                    placeholder: this._localized.markers.labelPlaceholder,
+                    readOnly: this.readOnly
+                }, item);
+
+                domConstruct.create("span", {
+                    class: "google-maps-editor-marker-coordinates",
+                    textContent: markerValue.latitude !== null && markerValue.longitude !== null ?
+                        `${Number(markerValue.latitude).toFixed(6)}, ${Number(markerValue.longitude).toFixed(6)}` : ""
+                }, item);
+
+                item.addEventListener("click", function () {
+                    this._selectMarker(index, true);
+                }.bind(this));
+
+                if (this.readOnly) {
+                    return;
+                }
+
+                labelInput.addEventListener("change", function () {
+                    this._setMarkerLabel(index, labelInput.value.trim());
+                }.bind(this));
+
+                this._createMarkerListButton(item, "epi-iconUp", this._localized.markers.moveUp, index > 0, function () {
+                    this._moveMarkerValue(index, -1);
+                });
+
+                this._createMarkerListButton(item, "epi-iconDown", this._localized.markers.moveDown, index < markerValues.length - 1, function () {
+                    this._moveMarkerValue(index, 1);
+                });
+
+                this._createMarkerListButton(item, "epi-iconTrash", this._localized.markers.remove, true, function () {
+                    this._removeMarkerValue(index);
+                });
+            }, this);
+
+            this._showMarkerListMessage(markerValues.length === 0 ? this._localized.markers.empty : this._getMarkerCountError());
+        },
+
+        /**
+         * Highlights the selected marker in the marker list, without re-rendering the list
+         * @private
+         */
+        _updateMarkerListSelection: function () {
+            const items = this.markerListNode.querySelectorAll(".google-maps-editor-marker");
+
+            items.forEach((item, i) => {
+                if (i === this._selectedMarkerIndex) {
+                    domClass.add(item, "selected");
+                } else {
+                    domClass.remove(item, "selected");
+                }
+            });
+        },
+
+        /**
+         * Creates an icon button for a marker in the marker list
+         * @param {HTMLElement} item - List item to add the button to
+         * @param {string} iconClass - CSS class of the icon
+         * @param {string} title - Button tooltip
+         * @param {boolean} enabled - Flag to enable the button
+         * @param {Function} action - Invoked (in the widget context) when the button is clicked
+         * @private
+         */
+        _createMarkerListButton: function (item, iconClass, title, enabled, action) {
+            const button = domConstruct.create("a", {
+                class: `google-maps-editor-marker-button ${iconClass}` + (enabled ? "" : " disabled"),
+                href: "#",
+                title: title
+            }, item);
+
+            button.addEventListener("click", function (e) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                if (enabled) {
+                    action.call(this);
+                }
+            }.bind(this));
+        },
+
+        /**
+         * Displays a message below the marker list, such as validation errors
+         * @param {string} message - Message to display, or null to hide the message
+         * @private
+         */
+        _showMarkerListMessage: function (message) {
+            this.markerListMessageNode.textContent = message || "";
+            domStyle.set(this.markerListMessageNode, "display", message ? "" : "none");
+        },
+
+        /**
+         * Gets a validation message if the number of markers is outside the allowed range
+         * @returns {string|null} Validation message, or null if the number of markers is valid
+         * @private
+         */
+        _getMarkerCountError: function () {
+            const count = this._getMarkerValues().length;
+
+            if (this.required && count === 0) {
+                return this._localized.markers.required;
+            }
+
+            if (this.minMarkers > 0 && count < this.minMarkers) {
+                return this._formatMarkerCount(this._localized.markers.tooFew, this.minMarkers);
+            }
+
+            if (this.maxMarkers > 0 && count > this.maxMarkers) {
+                return this._formatMarkerCount(this._localized.markers.tooMany, this.maxMarkers);
+            }
+
+            return null;
+        },
+
+        /**
+         * Inserts a number of markers into a localized message
+         * @param {string} message - Localized message with a {count} placeholder
+         * @param {number} count - Number of markers
+         * @returns {string} Formatted message
+         * @private
+         */
+        _formatMarkerCount: function (message, count) {
+            return message.replace("{count}", count);
+        },
+
+        // ==================== Circle Mode ====================
+
+        /**
+         * Determines if the editor is used to select a circle (center point and radius)
+         * @returns {boolean} True if in circle mode
+         * @private
+         */
+        _isCircleMode: function () {
+            return !!this.circleMode && !this._isMultiple() && !this._isDrawingMode();
+        },
+
+        /**
+         * Gets the current radius in meters, from the circle on the map or from the value
+         * @returns {number} Radius in meters
+         * @private
+         */
+        _getRadius: function () {
+            if (this._circle) {
+                return Math.round(this._provider.getCircleRadius(this._circle));
+            }
+
+            if (this.value && typeof this.value === "object" && this.value.radius > 0) {
+                return this.value.radius;
+            }
+
+            return parseInt(this.defaultRadius) || 1000;
+        },
+
+        /**
+         * Moves the circle to a new center and/or radius, creating it if needed
+         * @param {Object} center - Circle center
+         * @param {number} radius - Radius in meters
+         * @private
+         */
+        _setCircle: function (center, radius) {
+            if (!this._map) {
+                return;
+            }
+
+            if (!this._circle) {
+                this._createCircle(center, radius);
+            } else {
+                this._provider.setCircle(this._circle, center, radius);
+            }
+        },
+
+        /**
+         * Creates the circle, where the radius can be changed by dragging its edge unless property is readonly
+         * @param {Object} center - Circle center
+         * @param {number} radius - Radius in meters
+         * @private
+         */
+        _createCircle: function (center, radius) {
+            this._circle = this._provider.createCircle(this._map, center, radius, {
+                editable: !this.readOnly,
+
+                // Update radius when circle edge is dragged
+                onRadiusChanged: this.readOnly ? null : function (newRadius) {
+                    this._setRadiusValue(newRadius);
+                }.bind(this),
+
+                // Move marker when circle center is dragged
+                onCenterChanged: this.readOnly ? null : function (newCenter) {
+                    this._checkLocation(newCenter).then(function (allowed) {
+                        if (allowed) {
+                            this._setMapLocation(newCenter, null, false, false);
+                            this._setCoordinatesValue(newCenter);
+                        }
+                    }.bind(this));
+                }.bind(this)
+            });
+        },
+
+        /**
+         * Removes the circle from the map, including its event listeners
+         * @private
+         */
+        _removeCircle: function () {
+            if (this._circle) {
+                this._provider.removeCircle(this._circle);
+                this._circle = null;
+            }
+        },
+
+        /**
+         * Updates the radius of the current value
+         * @param {number} radius - Radius in meters
+         * @private
+         */
+        _setRadiusValue: function (radius) {
+            if (!this._hasCoordinates()) {
+                return;
+            }
+
+            radius = Math.round(radius);
+
+            this._setValueWithHistory(Object.assign({}, this.value, { "radius": radius }));
+        },
+
+        /**
+         * Sets up the radius field, which updates the circle when edited
+         * @private
+         */
+        _setupRadiusField: function () {
+            this.radiusTextbox.set("invalidMessage", this._localized.circle.invalidRadius);
+
+            this.radiusTextbox.validator = function (value) {
+                return !value || this._parseRadius(value) !== null;
+            }.bind(this);
+
+            if (this.readOnly) {
+                this.radiusTextbox.set("readOnly", true);
+                return;
+            }
+
+            const applyRadius = function () {
+                const radius = this._parseRadius(this.radiusTextbox.get("value"));
+
+                if (radius === null || !this._hasCoordinates()) {
+                    return;
+                }
+
+                // Resize the circle first, as the radius field is updated from the circle when the value changes
+                if (this._circle) {
+                    const coordinates = this._getCoordinates();
+                    this._setCircle(this._provider.createLocation(coordinates.latitude, coordinates.longitude), radius);
+                }
+
+                this._setRadiusValue(radius);
+            }.bind(this);
+
+            const changeHandler = this.radiusTextbox.on("change", applyRadius);
+
+            const keydownHandler = on(this.radiusTextbox.textbox, "keydown", function (e) {
+                if (e.keyCode === keys.ENTER) {
+                    // Stop propagation to avoid submitting any dialog the editor is displayed in
+                    e.preventDefault();
+                    e.stopPropagation();
+                    applyRadius();
+                }
+            });
+
+            this.own(changeHandler, keydownHandler);
+        },
+
+        /**
+         * Parses a radius in meters or kilometers, such as "500", "500 m", or "1.5 km"
+         * @param {string} text - Text to parse
+         * @returns {number|null} Radius in meters, or null if text isn't a valid radius
+         * @private
+         */
+        _parseRadius: function (text) {
+            const match = /^(\d+(?:[.,]\d+)?)\s*(m|km)?$/i.exec((text || "").trim());
+
+            if (!match) {
+                return null;
+            }
+
+            let radius = parseFloat(match[1].replace(",", "."));
+
+            if (match[2] && match[2].toLowerCase() === "km") {
+                radius *= 1000;
+            }
+
+            return radius > 0 ? Math.round(radius) : null;
+        },
+
+        /**
+         * Formats a radius for display, in meters below 1 km and in kilometers otherwise
+         * @param {number} radius - Radius in meters
+         * @returns {string} Formatted radius, such as "850 m" or "1.5 km"
+         * @private
+         */
+        _formatRadius: function (radius) {
+            if (radius < 1000) {
+                return `${Math.round(radius)} m`;
+            }
+
+            return `${parseFloat((radius / 1000).toFixed(2))} km`;
+        },
+
+        // ==================== Drawing Mode (Polygons & Polylines) ====================
+
+        /**
+         * Determines if the editor is used to draw an area or a route rather than to select a point
+         * @returns {boolean} True if in drawing mode
+         * @private
+         */
+        _isDrawingMode: function () {
+            return this.drawingMode === "polygon" || this.drawingMode === "polyline";
+        },
+
+        /**
+         * Gets the minimum number of vertices for a valid shape
+         * @returns {number} 3 for polygons, 2 for polylines
+         * @private
+         */
+        _getMinimumShapeVertices: function () {
+            return this.drawingMode === "polygon" ? 3 : 2;
+        },
+
+        /**
+         * Gets the GeoJSON geometry of the current value
+         * Local block properties store it in a "geoJson" property, string properties store it as the value itself
+         * @returns {string|null} GeoJSON geometry
+         * @private
+         */
+        _getGeoJson: function () {
+            if (!this.value) {
+                return null;
+            }
+
+            if (typeof this.value === "object") {
+                return this.value.geoJson || null;
+            }
+
+            return typeof this.value === "string" ? this.value : null;
+        },
+
+        /**
+         * Gets the vertices of the current value
+         * @returns {Array<{lat: number, lng: number}>} Vertices, or an empty array if the value is empty or invalid
+         * @private
+         */
+        _getShapePath: function () {
+            return this._parseGeoJsonPath(this._getGeoJson());
+        },
+
+        /**
+         * Gets the vertices of a GeoJSON geometry (Polygon or LineString)
+         * @param {string} geoJson - GeoJSON geometry
+         * @returns {Array<{lat: number, lng: number}>} Vertices, or an empty array if the geometry is empty or invalid
+         * @private
+         */
+        _parseGeoJsonPath: function (geoJson) {
+            if (!geoJson) {
+                return [];
+            }
+
+            let geometry;
+
+            try {
+                geometry = JSON.parse(geoJson);
+            } catch (error) {
+                console.error(`${this._logPrefix} Invalid GeoJSON value:`, geoJson);
+                return [];
+            }
+
+            let positions;
+
+            if (geometry && geometry.type === "Polygon" && Array.isArray(geometry.coordinates)) {
+                positions = (geometry.coordinates[0] || []).slice();
+
+                // Polygon rings are closed in GeoJSON, i.e. the last position equals the first
+                const first = positions[0], last = positions[positions.length - 1];
+                if (positions.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+                    positions.pop();
+                }
+            } else if (geometry && geometry.type === "LineString" && Array.isArray(geometry.coordinates)) {
+                positions = geometry.coordinates;
+            } else {
+                return [];
+            }
+
+            // GeoJSON positions are [longitude, latitude]
+            return positions
+                .filter(position => Array.isArray(position) && position.length >= 2)
+                .map(position => ({ lat: position[1], lng: position[0] }));
+        },
+
+        /**
+         * Converts vertices to a GeoJSON geometry (Polygon or LineString)
+         * RFC 7946 requires at least 4 positions in a polygon ring (3 vertices and the closing position) and 2 in a line
+         * @param {Array<Object>} path - Vertices
+         * @returns {string|null} GeoJSON geometry, or null if path has too few vertices for a valid geometry
+         * @private
+         */
+        _toGeoJson: function (path) {
+            if (!path || path.length < this._getMinimumShapeVertices()) {
+                return null;
+            }
+
+            // GeoJSON positions are [longitude, latitude]
+            const positions = path.map(location => [location.lng(), location.lat()]);
+
+            if (this.drawingMode === "polygon") {
+                return JSON.stringify({
+                    type: "Polygon",
+                    coordinates: [positions.concat([positions[0]])]
+                });
+            }
+
+            return JSON.stringify({
+                type: "LineString",
+                coordinates: positions
+            });
+        },
+
+        /**
+         * Updates the widget value with the given vertices
+         * @param {Array<Object>} path - Vertices
+         * @private
+         */
+        _setShapeValue: function (path) {
+            if (!this._started) {
+                return;
+            }
+
+            this._shapeVertexCount = path.length;
+
+            const geoJson = this._toGeoJson(path);
+
+            this._setValueWithHistory(this._isComplexType() ? { "geoJson": geoJson } : geoJson);
+        },
+
+        /**
+         * Adds a vertex to the end of the shape, creating the shape if needed
+         * @param {Object} location - Vertex location
+         * @private
+         */
+        _addShapeVertex: function (location) {
+            if (!this._shape) {
+                this._renderShape();
+            }
+
+            // Invokes the "onPathChanged" callback which updates the value
+            this._provider.addShapeVertex(this._shape, location);
+        },
+
+        /**
+         * Renders the polygon or polyline of the current value, editable unless property is readonly
+         * @private
+         */
+        _renderShape: function () {
+            if (!this._map) {
+                return;
+            }
+
+            this._removeShape();
+
+            this._shape = this._provider.createShape(this._map, this.drawingMode, this._getShapePath(), {
+                editable: !this.readOnly,
+
+                onPathChanged: function (path) {
+                    this._setShapeValue(path);
+                }.bind(this),
+
+                // Clicks on a polygon don't reach the map, so add vertices from here as well
+                onClick: function (location) {
+                    this._addShapeVertex(location);
+                }.bind(this)
+            });
+
+            this._shapeVertexCount = this._getShapePath().length;
+        },
+
+        /**
+         * Removes the shape from the map, including its event listeners
+         * @private
+         */
+        _removeShape: function () {
+            if (this._shape) {
+                this._provider.removeShape(this._shape);
+                this._shape = null;
+            }
+
+            this._shapeVertexCount = 0;
+        },
+
+        /**
+         * Adjusts the map view to show the whole shape, or the default coordinates if there is none
+         * @private
+         */
+        _fitShape: function () {
+            const path = this._getShapePath();
+
+            if (path.length === 0) {
+                const location = this._provider.createLocation(this.defaultCoordinates.latitude, this.defaultCoordinates.longitude);
+                this._setMapLocation(location, null, true, true);
+                return;
+            }
+
+            this._provider.fitBounds(this._map, path);
+        },
+
+        // ==================== Lifecycle Methods ====================
+
+        /**
+         * Cleans up resources when widget is destroyed
+         * Clears timers, removes DOM elements, and resets references
+         */
+        destroy: function () {
+            this._collapse();
+
+            if (this._expandDialog) {
+                this._expandDialog.destroyRecursive();
+                this._expandDialog = null;
+            }
+
+            if (this._typingTimer) {
+                clearTimeout(this._typingTimer);
+                this._typingTimer = null;
+            }
+
+            if (this._suggestionsDropdown) {
+                domConstruct.destroy(this._suggestionsDropdown);
+                this._suggestionsDropdown = null;
+            }
+
+            if (this._marker) {
+                this._removeMarker();
+            }
+
+            if (this._markers) {
+                this._removeMarkers();
+            }
+
+            if (this._shape) {
+                this._removeShape();
+            }
+
+            if (this._circle) {
+                this._removeCircle();
+            }
+
+            if (this._streetView) {
+                this._provider.removeStreetView(this._streetView);
+                this._streetView = null;
+            }
+
+            if (this._map) {
+                this._provider.removeMap(this._map);
+                this._map = null;
+            }
+
+            if (this._provider) {
+                this._provider.destroy();
+                this._provider = null;
+            }
+
+            this._suggestions = null;
+            this._countryCodes = null;
+
+            this.inherited(arguments);
         },
 
         /**
          * Called after widget creation
-         * Wires up icons, loads Google Maps script, and sets up event handlers
+         * Wires up icons, loads the map provider scripts, and sets up event handlers
          */
         postCreate: function () {
             this.inherited(arguments);
+            this._provider = this._createMapProvider();
             this._wireupIcons();
-            this._wireupGoogleMapsScriptLoaded();
-            this._addGoogleMapsScript();
+            this._setupHistory();
+            this._setupCoordinateFields();
+            this._setupMasterLanguage();
+
+            if (parseInt(this.height) > 0) {
+                domStyle.set(this.canvas, "height", `${parseInt(this.height)}px`);
+            }
+
+            if (this._isMultiple()) {
+                domClass.add(this.domNode, "google-maps-editor--multiple");
+                this._renderMarkerList();
+            }
+
+            if (this._isDrawingMode()) {
+                domClass.add(this.domNode, "google-maps-editor--drawing");
+                this.searchTextbox.set("placeHolder", this._localized.drawing.search);
+            }
+
+            if (this._isCircleMode()) {
+                domClass.add(this.domNode, "google-maps-editor--circle");
+                this._setupRadiusField();
+            }
+            this._loadMap();
         },
     });  
 });
@@ -0,0 +1,62 @@
+/**
+ * Displays interactive maps rendered by the <google-map> tag helper and the Html.GoogleMap() HTML helper
+ *
+ * Included once per page by GoogleMapRenderer, right after the loader shared with the editor (see providers/GoogleMapsLoader.js),
+ * since the add-on module folder is only available to editors. Maps are elements with a data-google-map attribute
+ * containing the map settings as JSON. The nonce of the script, if any, is also used for the Google Maps script.
+ *
+ * Maps added to the page later, for example by client-side rendering, are displayed using:
+ * window.googleMapsEditor.initializeMaps();
+ */
+(function (loader, nonce) {
+
+    /**
+     * Displays a map, unless already displayed
+     * @param {HTMLElement} element - Element with a data-google-map attribute
+     */
+    function initializeMap(element) {
+        if (element.hasAttribute("data-google-map-initialized")) {
+            return;
+        }
+
+        element.setAttribute("data-google-map-initialized", "");
+
+        const settings = JSON.parse(element.getAttribute("data-google-map"));
+
+        loader.load({ apiKey: settings.apiKey, libraries: ["maps", "marker"], nonce: nonce }).then(function (libraries) {
+            const location = { lat: settings.latitude, lng: settings.longitude };
+
+            const map = new libraries.maps.Map(element, {
+                center: settings.center || location,
+                zoom: settings.zoom,
+                mapId: settings.mapId,
+                fullscreenControl: false,
+                streetViewControl: false
+            });
+
+            new libraries.marker.AdvancedMarkerElement({
+                map: map,
+                position: location,
+                title: settings.title || ""
+            });
+        }).catch(function (error) {
+            console.error("[GoogleMapsEditor] Error loading map:", error);
+            element.classList.add("google-map--error");
+        });
+    }
+
+    /**
+     * Displays all maps on the page which aren't already displayed
+     */
+    function initializeMaps() {
+        document.querySelectorAll("[data-google-map]").forEach(initializeMap);
+    }
+
+    window.googleMapsEditor = Object.assign(window.googleMapsEditor || {}, { initializeMaps: initializeMaps });
+
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", initializeMaps);
+    } else {
+        initializeMaps();
+    }
+})(window.googleMapsEditorLoader, document.currentScript && document.currentScript.nonce);
@@ -2,17 +2,95 @@
     root: {
         latitude: "Latitude",
         longitude: "Longitude",
+        invalidLatitude: "Enter a latitude between -90 and 90, for example 59.3356 or 59°20'08\"N",
+        invalidLongitude: "Enter a longitude between -180 and 180, for example 18.0301 or 18°01'48\"E",
         search: "Enter a location or right-click the map",
         clear: "Clear coordinates",
+        noAddress: "No address found for the selected location",
+
+        expand: {
+            tooltip: "Expand map",
+            collapse: "Close expanded map",
+            dialogTitle: "Select location"
+        },
+
+        history: {
+            undo: "Undo (Ctrl+Z)",
+            redo: "Redo (Ctrl+Y)"
+        },
+
+        locate: {
+            tooltip: "Use my current location",
+            locating: "Finding your location...",
+            denied: "Your location couldn't be used because location access is blocked. Allow location access for this site in your browser or device settings.",
+            unavailable: "Your location couldn't be determined. Make sure location services are turned on for your device.",
+            timeout: "It took too long to determine your location. Try again, preferably outdoors or near a window."
+        },
+
+        circle: {
+            radius: "Radius",
+            invalidRadius: "Enter a radius in meters or kilometers, for example 500 m or 1.5 km"
+        },
+
+        drawing: {
+            search: "Search for a location to move the map"
+        },
+
+        restrictions: {
+            outsideArea: "The location is outside the allowed area",
+            outsideCountries: "The location must be in one of the following countries: {countries}"
+        },
+
+        mapErrors: {
+            offline: "The map couldn't be loaded because you're offline.",
+            script: "The map couldn't be loaded. The map service may be blocked by your network or browser, or temporarily unavailable.",
+            authentication: "The map couldn't be loaded because the map service rejected the API key. Ask an administrator to check the API key, its allowed websites, and billing.",
+            timeout: "The map took too long to load. Reload the page to try again.",
+            coordinatesFallback: "You can still view and change the coordinates below.",
+            drawingFallback: "The saved value is kept, but can't be edited until the map is available.",
+            search: "Search is unavailable right now. Try again later, or enter coordinates below.",
+            place: "The selected location couldn't be loaded. Try again, or enter coordinates below."
+        },
+
+        masterLanguage: {
+            empty: "No location has been selected for this language. The location in {language} is {coordinates}.",
+            use: "Use the location in {language}"
+        },
+
+        streetView: {
+            noLocation: "Select a location to see it in Street View.",
+            noImagery: "No Street View imagery is available near this location.",
+            error: "Street View couldn't be loaded right now."
+        },
+
+        markers: {
+            labelPlaceholder: "Label",
+            moveUp: "Move up",
+            moveDown: "Move down",
+            remove: "Remove location",
+            empty: "No locations selected. Right-click the map or search to add locations.",
+            required: "At least one location is required",
+            tooFew: "Select at least {count} locations",
+            tooMany: "Select at most {count} locations",
+            maxReached: "You can't add more than {count} locations"
+        },
 
         help: {
             tooltip: "Click for help",
             dialogTitle: "How to use the map editor",
-            dialogHtml: "<p><strong>Select a location</strong><br />Right-click anywhere on the map to select a location, or to adjust the pin position.</p>" +
-                        "<p><strong>Search for a location</strong><br />Start typing in the search box and select one of the suggested locations that appear. You can search for addresses, businesses, and locations.</p>" +
+            dialogHtml: "<p><strong>Select a location</strong><br />Right-click anywhere on the map to select a location, or to adjust the pin position. You can also drag the pin to fine-tune its position. Some properties only allow locations in certain countries or within a certain area.</p>" +
+                        "<p><strong>Search for a location</strong><br />Start typing in the search box and select one of the suggested locations that appear. You can search for addresses, businesses, and locations. Use the arrow keys to move between suggestions, Enter or Tab to select one, and Escape to close the list.</p>" +
+                        "<p><strong>Use your current location</strong><br />Click the target button next to the search box to select where you are, using your device's location. Your browser may ask for permission first.</p>" +
+                        "<p><strong>Enter coordinates</strong><br />Type or paste a latitude and longitude in the fields below the map, in decimal degrees (59.3356, 18.0301) or in degrees, minutes, and seconds (59°20'08\"N 18°01'48\"E). You can paste both coordinates into either field.</p>" +
+                        "<p><strong>Undo and redo</strong><br />Use the arrow buttons next to the search box, or Ctrl+Z and Ctrl+Y, to undo or redo changes to the location, for example after right-clicking the map by mistake.</p>" +
+                        "<p><strong>Larger map</strong><br />Click the expand button next to the search box to edit the location in a large dialog. Use the map type buttons to switch to satellite or terrain views, if available.</p>" +
+                        "<p><strong>Street View</strong><br />If the property displays Street View, the selected location is shown below the map. Drag the image to look around, and click the arrows to move along the street. For some properties, the view you choose is saved.</p>" +
                         "<p><strong>Panning</strong><br />Click and hold the left mouse button and drag across the map.</p>" +
                         "<p><strong>Zooming</strong><br />Use your mouse wheel to zoom in and out. You can also double-click the map to zoom in.</p>" +
-                        "<p><strong>Clear selection</strong><br />Click the button to clear the currently selected location.</p>"
+                        "<p><strong>Clear selection</strong><br />Click the button to clear the currently selected location.</p>" +
+                        "<p><strong>Radius</strong><br />If the property is a circle, select the center as usual and then drag the edge of the circle, or type a radius in meters or kilometers (500 m, 1.5 km).</p>" +
+                        "<p><strong>Areas and routes</strong><br />If the property is an area or a route, click the map to add points. Drag a point to move it, or drag the handle between two points to add a point in between. Right-click a point to remove it.</p>" +
+                        "<p><strong>Multiple locations</strong><br />If the property allows multiple locations, each right-click or search selection adds a new pin. Click a pin or a row in the list below the map to select it, then drag the pin or edit its coordinates. Use the list to label, reorder, or remove locations.</p>"
         }
     },
 
@@ -1,16 +1,94 @@
 ﻿define({
     latitude: "Latitud",
     longitude: "Longitud",
+    invalidLatitude: "Ange en latitud mellan -90 och 90, till exempel 59.3356 eller 59°20'08\"N",
+    invalidLongitude: "Ange en longitud mellan -180 och 180, till exempel 18.0301 eller 18°01'48\"E",
     search: "Skriv en plats eller högerklicka i kartan",
     clear: "Rensa koordinater",
+    noAddress: "Ingen adress hittades för vald plats",
+
+    expand: {
+        tooltip: "Förstora kartan",
+        collapse: "Stäng förstorad karta",
+        dialogTitle: "Välj plats"
+    },
+
+    history: {
+        undo: "Ångra (Ctrl+Z)",
+        redo: "Gör om (Ctrl+Y)"
+    },
+
+    locate: {
+        tooltip: "Använd min nuvarande plats",
+        locating: "Hämtar din plats...",
+        denied: "Din plats kunde inte användas eftersom platsåtkomst är blockerad. Tillåt platsåtkomst för den här webbplatsen i webbläsarens eller enhetens inställningar.",
+        unavailable: "Din plats kunde inte fastställas. Kontrollera att platstjänster är aktiverade på din enhet.",
+        timeout: "Det tog för lång tid att fastställa din plats. Försök igen, helst utomhus eller nära ett fönster."
+    },
+
+    circle: {
+        radius: "Radie",
+        invalidRadius: "Ange en radie i meter eller kilometer, till exempel 500 m eller 1,5 km"
+    },
+
+    drawing: {
+        search: "Sök efter en plats för att flytta kartan"
+    },
+
+    restrictions: {
+        outsideArea: "Platsen ligger utanför det tillåtna området",
+        outsideCountries: "Platsen måste ligga i något av följande länder: {countries}"
+    },
+
+    mapErrors: {
+        offline: "Kartan kunde inte laddas eftersom du är offline.",
+        script: "Kartan kunde inte laddas. Karttjänsten kan vara blockerad av ditt nätverk eller din webbläsare, eller tillfälligt otillgänglig.",
+        authentication: "Kartan kunde inte laddas eftersom karttjänsten inte godkände API-nyckeln. Be en administratör kontrollera API-nyckeln, vilka webbplatser den tillåter och fakturering.",
+        timeout: "Det tog för lång tid att ladda kartan. Ladda om sidan för att försöka igen.",
+        coordinatesFallback: "Du kan fortfarande se och ändra koordinaterna nedan.",
+        drawingFallback: "Det sparade värdet behålls, men kan inte ändras förrän kartan är tillgänglig.",
+        search: "Sökningen är inte tillgänglig just nu. Försök igen senare, eller ange koordinater nedan.",
+        place: "Den valda platsen kunde inte hämtas. Försök igen, eller ange koordinater nedan."
+    },
+
+    masterLanguage: {
+        empty: "Ingen plats har valts för det här språket. Platsen på {language} är {coordinates}.",
+        use: "Använd platsen på {language}"
+    },
+
+    streetView: {
+        noLocation: "Välj en plats för att se den i Street View.",
+        noImagery: "Det finns inga Street View-bilder nära den här platsen.",
+        error: "Street View kunde inte laddas just nu."
+    },
+
+    markers: {
+        labelPlaceholder: "Etikett",
+        moveUp: "Flytta upp",
+        moveDown: "Flytta ned",
+        remove: "Ta bort plats",
+        empty: "Inga platser valda. Högerklicka i kartan eller sök för att lägga till platser.",
+        required: "Minst en plats måste anges",
+        tooFew: "Välj minst {count} platser",
+        tooMany: "Välj högst {count} platser",
+        maxReached: "Du kan inte lägga till fler än {count} platser"
+    },
 
     help: {
         tooltip: "Klicka för hjälp",
         dialogTitle: "Så använder du kartan",
-        dialogHtml: "<p><strong>Välja en plats</strong><br />Högerklicka var som helst på kartan för att välja en plats, eller för att justera kartnålens placering.</p>" +
-                    "<p><strong>Söka efter en plats</strong><br />Börja att skriva i sökrutan och välj något av förslagen som visas. Du kan söka på adress, företagsnamn, eller plats.</p>" +
+        dialogHtml: "<p><strong>Välja en plats</strong><br />Högerklicka var som helst på kartan för att välja en plats, eller för att justera kartnålens placering. Du kan också dra kartnålen för att finjustera dess placering. Vissa egenskaper tillåter bara platser i vissa länder eller inom ett visst område.</p>" +
+                    "<p><strong>Söka efter en plats</strong><br />Börja att skriva i sökrutan och välj något av förslagen som visas. Du kan söka på adress, företagsnamn, eller plats. Använd piltangenterna för att flytta mellan förslagen, Enter eller Tab för att välja ett, och Escape för att stänga listan.</p>" +
+                    "<p><strong>Använda din nuvarande plats</strong><br />Klicka på siktesknappen bredvid sökrutan för att välja platsen där du är, med hjälp av enhetens plats. Webbläsaren kan först fråga om lov.</p>" +
+                    "<p><strong>Ange koordinater</strong><br />Skriv eller klistra in latitud och longitud i fälten under kartan, i decimalgrader (59.3356, 18.0301) eller i grader, minuter och sekunder (59°20'08\"N 18°01'48\"E). Du kan klistra in båda koordinaterna i vilket fält som helst.</p>" +
+                    "<p><strong>Ångra och gör om</strong><br />Använd pilknapparna bredvid sökrutan, eller Ctrl+Z och Ctrl+Y, för att ångra eller göra om ändringar av platsen, till exempel efter att du högerklickat på kartan av misstag.</p>" +
+                    "<p><strong>Större karta</strong><br />Klicka på förstoringsknappen bredvid sökrutan för att ändra platsen i en stor dialogruta. Använd knapparna för karttyp för att byta till satellit- eller terrängvy, om de finns.</p>" +
+                    "<p><strong>Street View</strong><br />Om egenskapen visar Street View visas den valda platsen under kartan. Dra i bilden för att se dig omkring, och klicka på pilarna för att förflytta dig längs gatan. För vissa egenskaper sparas vyn du väljer.</p>" +
                     "<p><strong>Panorera</strong><br />Klicka och håll in vänster musknapp och använd sedan musen för att flytta kartan.</p>" +
                     "<p><strong>Zooma</strong><br />Använd mushjulet för att zooma in och ut. Du kan också dubbelklicka på kartan för att zooma in.</p>" +
-                    "<p><strong>Rensa vald plats</strong><br />Klicka på knappen för att rensa aktuell plats.</p>"
+                    "<p><strong>Rensa vald plats</strong><br />Klicka på knappen för att rensa aktuell plats.</p>" +
+                    "<p><strong>Radie</strong><br />Om egenskapen är en cirkel väljer du mittpunkten som vanligt och drar sedan i cirkelns kant, eller anger en radie i meter eller kilometer (500 m, 1,5 km).</p>" +
+                    "<p><strong>Områden och rutter</strong><br />Om egenskapen är ett område eller en rutt klickar du i kartan för att lägga till punkter. Dra en punkt för att flytta den, eller dra handtaget mellan två punkter för att lägga till en punkt emellan. Högerklicka på en punkt för att ta bort den.</p>" +
+                    "<p><strong>Flera platser</strong><br />Om egenskapen tillåter flera platser lägger varje högerklick eller sökträff till en ny kartnål. Klicka på en kartnål eller en rad i listan under kartan för att välja den, och dra sedan kartnålen eller ändra dess koordinater. Använd listan för att namnge, sortera om eller ta bort platser.</p>"
     }
 });
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * Shared loader for the Google Maps JavaScript API
+ *
+ * The module is loaded once per page, so all editors share one script tag and one promise, whether they
+ * are created at the same time, such as several map properties on one page, or later, such as in an
+ * on-page edit dialog or a block edited in a content area.
+ *
+ * Libraries are imported on demand using google.maps.importLibrary(), so libraries requested after the
+ * script has loaded are added without another script tag.
+ *
+ * Usage:
+ * GoogleMapsLoader.load({ apiKey: "...", libraries: ["places", "marker"] }).then(function (libraries) { ... });
+ */
+define([], function () {
+
+    /**
+     * ID of the script tag, used to find a tag added by another copy of the editor scripts
+     * @type {string}
+     */
+    const scriptElementId = "googleMapsEditor-script";
+
+    /**
+     * Name of the global function invoked by Google Maps when the script has loaded
+     * @type {string}
+     */
+    const callbackFunctionName = "googleMapsEditorScriptLoaded";
+
+    /**
+     * Promise for the script, or null if not yet loading or if loading failed
+     * @type {Promise}
+     */
+    let scriptPromise = null;
+
+    /**
+     * Promises for imported libraries, by library name
+     * @type {Object<string, Promise<Object>>}
+     */
+    const libraryPromises = {};
+
+    /**
+     * Callbacks invoked if the API key is rejected
+     * @type {Array<Function>}
+     */
+    const authFailureCallbacks = [];
+
+    /**
+     * True if Google Maps has rejected the API key
+     * @type {boolean}
+     */
+    let authFailed = false;
+
+    /**
+     * Checks if the script has loaded and libraries can be imported
+     * @returns {boolean} True if google.maps.importLibrary() is available
+     */
+    function isScriptLoaded() {
+        return typeof google === "object" && typeof google.maps === "object" && typeof google.maps.importLibrary === "function";
+    }
+
+    /**
+     * Adds the global function Google Maps invokes when the API key is rejected, for example if it's invalid,
+     * not allowed for the current domain, or billing isn't enabled
+     * Any existing function is still invoked
+     */
+    function addAuthFailureHandler() {
+        const existingHandler = window.gm_authFailure;
+
+        window.gm_authFailure = function () {
+            authFailed = true;
+            authFailureCallbacks.slice().forEach(callback => callback());
+
+            if (typeof existingHandler === "function") {
+                existingHandler();
+            }
+        };
+    }
+
+    /**
+     * Loads the script, unless already loaded or loading
+     * @param {Object} options - Loader options
+     * @param {string} options.apiKey - Google Maps API key
+     * @param {Array<string>} [options.libraries] - Libraries to include in the script request
+     * @param {string} [options.nonce] - Optional nonce added to the script tag, for pages with a Content-Security-Policy
+     * @param {Function} [options.log] - Optional function to log debug messages with
+     * @returns {Promise} Resolved when the script has loaded, rejected if it fails to load
+     */
+    function loadScript(options) {
+        if (scriptPromise) {
+            return scriptPromise;
+        }
+
+        if (isScriptLoaded()) { // Script added outside the editor, or by an earlier copy of the editor scripts
+            scriptPromise = Promise.resolve();
+            return scriptPromise;
+        }
+
+        scriptPromise = new Promise(function (resolve, reject) {
+            const onLoaded = function () {
+                log(options, "Google Maps API loaded successfully");
+                resolve();
+            };
+
+            window[callbackFunctionName] = onLoaded;
+
+            let tag = document.getElementById(scriptElementId);
+
+            if (tag) {
+                // Tag added but still loading, and may invoke a callback other than ours when done
+                tag.addEventListener("load", function () {
+                    if (isScriptLoaded()) {
+                        onLoaded();
+                    }
+                });
+            } else {
+                const libraries = (options.libraries || []).join(",");
+                const scriptUrl = `https://maps.googleapis.com/maps/api/js?key=${options.apiKey}&loading=async&libraries=${libraries}&callback=${callbackFunctionName}&v=weekly`;
+
+                log(options, "Loading Google Maps script...", scriptUrl);
+
+                tag = document.createElement("script");
+                tag.id = scriptElementId;
+                tag.src = scriptUrl;
+                tag.defer = true;
+
+                if (options.nonce) {
+                    tag.nonce = options.nonce;
+                }
+
+                const firstScriptTag = document.getElementsByTagName("script")[0];
+                firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+            }
+
+            tag.addEventListener("error", function () {
+                // Remove the failed script tag, so the script is loaded again by the next editor
+                tag.remove();
+                scriptPromise = null;
+                reject(new Error("Failed to load the Google Maps script"));
+            });
+        });
+
+        return scriptPromise;
+    }
+
+    /**
+     * Imports a library, unless already imported
+     * @param {string} name - Library name, such as "places"
+     * @returns {Promise<Object>} Library exports
+     */
+    function importLibrary(name) {
+        if (!libraryPromises[name]) {
+            libraryPromises[name] = google.maps.importLibrary(name).catch(function (error) {
+                delete libraryPromises[name];
+                throw error;
+            });
+        }
+
+        return libraryPromises[name];
+    }
+
+    /**
+     * Logs a debug message using the log function from the options, if any
+     * @param {Object} options - Loader options
+     * @param {string} message - Message to log
+     * @param {*} [data] - Optional data to include in log
+     */
+    function log(options, message, data) {
+        if (options.log) {
+            options.log(message, data);
+        }
+    }
+
+    addAuthFailureHandler();
+
+    return {
+
+        /**
+         * Loads the Google Maps JavaScript API and imports libraries
+         * @param {Object} options - Loader options
+         * @param {string} options.apiKey - Google Maps API key, only used by the first call
+         * @param {Array<string>} [options.libraries] - Libraries to import, such as "places" and "marker"
+         * @param {string} [options.nonce] - Optional nonce added to the script tag, only used by the first call
+         * @param {Function} [options.log] - Optional function to log debug messages with
+         * @returns {Promise<Object<string, Object>>} Library exports by library name, rejected if the script fails to load
+         */
+        load: function (options) {
+            const libraries = options.libraries || [];
+
+            return loadScript(options).then(function () {
+                return Promise.all(libraries.map(importLibrary));
+            }).then(function (exports) {
+                const result = {};
+                libraries.forEach((name, index) => result[name] = exports[index]);
+                return result;
+            });
+        },
+
+        /**
+         * Imports a library after the script has loaded
+         * @param {string} name - Library name, such as "geocoding"
+         * @returns {Promise<Object>} Library exports
+         */
+        importLibrary: function (name) {
+            return importLibrary(name);
+        },
+
+        /**
+         * Checks if Google Maps has rejected the API key
+         * @returns {boolean} True if the API key was rejected
+         */
+        isAuthFailed: function () {
+            return authFailed;
+        },
+
+        /**
+         * Listens for Google Maps rejecting the API key, which may happen after the script has loaded
+         * @param {Function} callback - Invoked when the API key is rejected
+         * @returns {{remove: Function}} Listener
+         */
+        onAuthFailure: function (callback) {
+            authFailureCallbacks.push(callback);
+
+            return {
+                remove: function () {
+                    const index = authFailureCallbacks.indexOf(callback);
+
+                    if (index >= 0) {
+                        authFailureCallbacks.splice(index, 1);
+                    }
+                }
+            };
+        }
+    };
+});
@@ -0,0 +1,836 @@
+/**
+ * Google Maps provider for the Google Maps Editor Widget (default)
+ *
+ * Uses the Google Maps JavaScript API for the map, advanced markers, circles, shapes, and Street View,
+ * the Places API for search suggestions, and the Geocoding API for addresses.
+ * The script is loaded by GoogleMapsLoader, which is shared by all editors on the page.
+ *
+ * Settings:
+ * - apiKey: Google Maps API key
+ * - mapId: Google Maps style ID for custom map styling
+ * - proxyUrl: Optional URL of the server-side proxy endpoint, used for search and address lookups instead of the browser API key
+ * - language: Optional language of proxy lookup results, such as "sv"
+ */
+define([
+    "dojo/_base/declare",
+
+    "./_MapProvider",
+    "./GoogleMapsLoader"
+],
+function (
+    declare,
+    _MapProvider,
+    GoogleMapsLoader
+) {
+    return declare([_MapProvider], {
+
+        /**
+         * Cached Places library exports (AutocompleteSessionToken, AutocompleteSuggestion)
+         * @type {Object}
+         * @private
+         */
+        _placesLibrary: null,
+
+        /**
+         * Cached Geocoder instance used for reverse geocoding
+         * @type {google.maps.Geocoder}
+         * @private
+         */
+        _geocoder: null,
+
+        /**
+         * Session token for Places API autocomplete requests
+         * Reused for the suggestions of one search, and cleared when a suggestion is selected, as that ends the session
+         * A string when lookups are made through the proxy endpoint
+         * @type {google.maps.places.AutocompleteSessionToken|string}
+         * @private
+         */
+        _sessionToken: null,
+
+        /**
+         * Listener for the API key being rejected while the script is loading
+         * @type {{remove: Function}}
+         * @private
+         */
+        _authFailureSignal: null,
+
+        // ==================== Loading ====================
+
+        /**
+         * Loads the Google Maps JavaScript API with the Places and Marker libraries, using the loader shared by all editors
+         * @returns {Promise} Resolved when the libraries have loaded, rejected if the script fails, the API key is rejected, or loading times out
+         */
+        load: function () {
+            if (GoogleMapsLoader.isAuthFailed()) {
+                return Promise.reject(this._createAuthError());
+            }
+
+            return this._withLoadTimeout(new Promise(function (resolve, reject) {
+                this._authFailureSignal = GoogleMapsLoader.onAuthFailure(function () {
+                    reject(this._createAuthError());
+                }.bind(this));
+
+                GoogleMapsLoader.load({
+                    apiKey: this.settings.apiKey,
+                    libraries: ["places", "marker"],
+                    log: this.log.bind(this)
+                }).then(function (libraries) {
+                    this._placesLibrary = libraries.places;
+                    resolve();
+                }.bind(this), function () {
+                    reject(this._createScriptError("Google Maps script"));
+                }.bind(this));
+            }.bind(this))).finally(this._removeAuthFailureSignal.bind(this));
+        },
+
+        /**
+         * Creates the error for when the API key is rejected
+         * @returns {Error} Error with the "authentication" code
+         * @private
+         */
+        _createAuthError: function () {
+            return this._createLoadError("authentication", "Google Maps rejected the API key, see the browser console for details");
+        },
+
+        /**
+         * Removes the listener for the API key being rejected while the script is loading
+         * @private
+         */
+        _removeAuthFailureSignal: function () {
+            if (this._authFailureSignal) {
+                this._authFailureSignal.remove();
+                this._authFailureSignal = null;
+            }
+        },
+
+        /**
+         * Listens for the API key being rejected, which Google Maps may report after the script has loaded
+         */
+        onFailure: function (callback) {
+            if (GoogleMapsLoader.isAuthFailed()) {
+                const timeout = setTimeout(() => callback(this._createAuthError()));
+                return { remove: () => clearTimeout(timeout) };
+            }
+
+            return GoogleMapsLoader.onAuthFailure(function () {
+                callback(this._createAuthError());
+            }.bind(this));
+        },
+
+        // ==================== Map ====================
+
+        createLocation: function (latitude, longitude) {
+            if (typeof google !== "object" || typeof google.maps !== "object") {
+                // Script failed to load, so coordinates are edited without the map
+                return this.inherited(arguments);
+            }
+
+            return new google.maps.LatLng(latitude, longitude);
+        },
+
+        createMap: function (node, options) {
+            // Render the map, but disable interaction if property is readonly
+            const mapOptions = {
+                zoom: options.zoom,
+                disableDefaultUI: true,
+                center: options.center,
+                disableDoubleClickZoom: options.readOnly || options.disableDoubleClickZoom,
+                scrollwheel: !options.readOnly,
+                draggable: !options.readOnly,
+                mapId: `${this.settings.mapId}`,
+
+                // Map types can't be switched when readonly, as the grayscale map is a map type of its own
+                mapTypeControl: options.controls.mapType && !options.readOnly,
+                mapTypeControlOptions: {
+                    mapTypeIds: ["roadmap", "satellite", "terrain"],
+                    position: google.maps.ControlPosition.TOP_LEFT
+                },
+                zoomControl: options.controls.zoom,
+                streetViewControl: options.controls.streetView && !options.readOnly,
+                fullscreenControl: false // The editor is expanded into a dialog instead, see Editor._expand()
+            };
+
+            if (options.restrictionBounds) {
+                mapOptions.restriction = { latLngBounds: options.restrictionBounds, strictBounds: false };
+            }
+
+            const map = new google.maps.Map(node, mapOptions);
+
+            // Display grayscale map if property is readonly
+            if (options.readOnly) {
+                const grayStyle = [{
+                    featureType: "all",
+                    elementType: "all",
+                    stylers: [{ saturation: -100 }]
+                }];
+
+                const mapType = new google.maps.StyledMapType(grayStyle, { name: "Grayscale" });
+                map.mapTypes.set('disabled', mapType);
+                map.setMapTypeId('disabled');
+            }
+
+            return map;
+        },
+
+        removeMap: function (map) {
+            google.maps.event.clearInstanceListeners(map);
+        },
+
+        onMapClick: function (map, callback) {
+            return this._addListener(map, "click", event => callback(event.latLng));
+        },
+
+        onMapRightClick: function (map, callback) {
+            return this._addListener(map, "rightclick", event => callback(event.latLng));
+        },
+
+        getCenter: function (map) {
+            return map.getCenter();
+        },
+
+        setCenter: function (map, location, pan) {
+            if (pan) {
+                map.panTo(location);
+            } else {
+                map.setCenter(location);
+            }
+        },
+
+        setZoom: function (map, zoom) {
+            map.setZoom(zoom);
+        },
+
+        getZoom: function (map) {
+            return map.getZoom();
+        },
+
+        onViewChanged: function (map, callback) {
+            return this._addListener(map, "idle", () => callback());
+        },
+
+        fitBounds: function (map, locations) {
+            const bounds = new google.maps.LatLngBounds();
+            locations.forEach(location => bounds.extend(location));
+
+            map.fitBounds(bounds);
+        },
+
+        /**
+         * Adds an event listener to a Google Maps object
+         * @param {Object} instance - Map, marker, circle, shape, or path
+         * @param {string} eventName - Event name
+         * @param {Function} handler - Event handler
+         * @returns {{remove: Function}} Listener
+         * @private
+         */
+        _addListener: function (instance, eventName, handler) {
+            const listener = google.maps.event.addListener(instance, eventName, handler);
+
+            return {
+                remove: function () {
+                    google.maps.event.removeListener(listener);
+                }
+            };
+        },
+
+        // ==================== Markers ====================
+
+        createMarker: function (map, location, options) {
+            let content;
+
+            // Numbered markers use a pin with a glyph, highlighted when selected
+            if (options.label) {
+                const pin = new google.maps.marker.PinElement({
+                    glyph: options.label,
+                    glyphColor: "#ffffff",
+                    background: options.selected ? "#0037ff" : undefined,
+                    borderColor: options.selected ? "#0026b3" : undefined,
+                    scale: options.selected ? 1.2 : 1
+                });
+
+                content = pin.element;
+            }
+
+            const element = new google.maps.marker.AdvancedMarkerElement({
+                map: map,
+                position: location,
+                title: options.title || "",
+                content: content,
+                gmpDraggable: !!options.draggable,
+                zIndex: options.selected ? 1 : 0
+            });
+
+            const marker = { element: element, listeners: [] };
+
+            if (options.onClick) {
+                marker.listeners.push(this._addListener(element, "click", () => options.onClick()));
+            }
+
+            if (options.onDragEnd) {
+                marker.listeners.push(this._addListener(element, "dragend", event => options.onDragEnd(event.latLng)));
+            }
+
+            return marker;
+        },
+
+        setMarkerPosition: function (marker, location) {
+            marker.element.position = location;
+        },
+
+        removeMarker: function (marker) {
+            marker.listeners.forEach(listener => listener.remove());
+            marker.listeners = [];
+            marker.element.map = null;
+        },
+
+        // ==================== Circles ====================
+
+        createCircle: function (map, center, radius, options) {
+            const circle = {
+                element: new google.maps.Circle({
+                    map: map,
+                    center: center,
+                    radius: radius,
+                    editable: !!options.editable,
+                    clickable: false,
+                    strokeColor: "#0037ff",
+                    strokeOpacity: 0.9,
+                    strokeWeight: 2,
+                    fillColor: "#0037ff",
+                    fillOpacity: 0.15
+                }),
+                listeners: [],
+                updating: false // Set while the circle is updated programmatically, to ignore its change events
+            };
+
+            if (options.onRadiusChanged) {
+                // Circle edge was dragged
+                circle.listeners.push(this._addListener(circle.element, "radius_changed", function () {
+                    if (!circle.updating) {
+                        options.onRadiusChanged(circle.element.getRadius());
+                    }
+                }));
+            }
+
+            if (options.onCenterChanged) {
+                // Circle center was dragged
+                circle.listeners.push(this._addListener(circle.element, "center_changed", function () {
+                    if (!circle.updating) {
+                        options.onCenterChanged(circle.element.getCenter());
+                    }
+                }));
+            }
+
+            return circle;
+        },
+
+        setCircle: function (circle, center, radius) {
+            circle.updating = true;
+
+            try {
+                circle.element.setCenter(center);
+                circle.element.setRadius(radius);
+            } finally {
+                circle.updating = false;
+            }
+        },
+
+        getCircleRadius: function (circle) {
+            return circle.element.getRadius();
+        },
+
+        getCircleBounds: function (circle) {
+            const bounds = circle.element.getBounds();
+
+            return [bounds.getSouthWest(), bounds.getNorthEast()];
+        },
+
+        removeCircle: function (circle) {
+            circle.listeners.forEach(listener => listener.remove());
+            circle.listeners = [];
+            circle.element.setMap(null);
+        },
+
+        // ==================== Shapes ====================
+
+        createShape: function (map, type, path, options) {
+            const shapeOptions = {
+                map: map,
+                path: path,
+                editable: !!options.editable,
+                strokeColor: "#0037ff",
+                strokeOpacity: 0.9,
+                strokeWeight: 3
+            };
+
+            const shape = { listeners: [] };
+
+            if (type === "polygon") {
+                shape.element = new google.maps.Polygon(Object.assign(shapeOptions, {
+                    fillColor: "#0037ff",
+                    fillOpacity: 0.15
+                }));
+            } else {
+                shape.element = new google.maps.Polyline(shapeOptions);
+            }
+
+            if (!options.editable) {
+                return shape;
+            }
+
+            const elementPath = shape.element.getPath();
+
+            const pathChanged = function () {
+                if (options.onPathChanged) {
+                    options.onPathChanged(elementPath.getArray());
+                }
+            };
+
+            shape.listeners.push(
+                this._addListener(elementPath, "insert_at", pathChanged),
+                this._addListener(elementPath, "set_at", pathChanged),
+                this._addListener(elementPath, "remove_at", pathChanged),
+
+                // Remove vertex when right-clicked
+                this._addListener(shape.element, "rightclick", function (event) {
+                    if (event.vertex !== undefined && event.vertex !== null) {
+                        elementPath.removeAt(event.vertex);
+                    }
+                }),
+
+                // Clicks on a polygon don't reach the map, so report them separately
+                this._addListener(shape.element, "click", function (event) {
+                    if (options.onClick && (event.vertex === undefined || event.vertex === null) && (event.edge === undefined || event.edge === null)) {
+                        options.onClick(event.latLng);
+                    }
+                })
+            );
+
+            return shape;
+        },
+
+        addShapeVertex: function (shape, location) {
+            // Triggers the "insert_at" listener which invokes the onPathChanged callback
+            shape.element.getPath().push(location);
+        },
+
+        removeShape: function (shape) {
+            shape.listeners.forEach(listener => listener.remove());
+            shape.listeners = [];
+            shape.element.setMap(null);
+        },
+
+        // ==================== Street View ====================
+
+        createStreetView: function (node, options) {
+            // The panorama is created by setStreetViewLocation(), once the Street View library has been imported
+            const streetView = {
+                node: node,
+                options: options,
+                panorama: null,
+                service: null,
+                listeners: [],
+                userChanged: false,
+                povTimeout: null
+            };
+
+            // Panorama events are the same for changes made by the user and by the editor, so user input is tracked separately
+            const onUserInput = () => streetView.userChanged = true;
+
+            ["pointerdown", "wheel", "keydown"].forEach(function (eventName) {
+                node.addEventListener(eventName, onUserInput, true);
+
+                streetView.listeners.push({
+                    remove: () => node.removeEventListener(eventName, onUserInput, true)
+                });
+            });
+
+            return streetView;
+        },
+
+        setStreetViewLocation: async function (streetView, location, pov) {
+            const { StreetViewPanorama, StreetViewService, StreetViewPreference, StreetViewSource, StreetViewStatus } = await GoogleMapsLoader.importLibrary("streetView");
+
+            if (!streetView.panorama) {
+                this._createPanorama(streetView, StreetViewPanorama);
+                streetView.service = new StreetViewService();
+            }
+
+            let data = null;
+
+            const requests = [{
+                location: location,
+                radius: 50,
+                preference: StreetViewPreference.NEAREST,
+                sources: [StreetViewSource.OUTDOOR]
+            }];
+
+            if (pov && pov.panoId) {
+                // Prefer the saved panorama, but fall back to the nearest one if it's no longer available
+                requests.unshift({ pano: pov.panoId });
+            }
+
+            for (const request of requests) {
+                try {
+                    ({ data } = await streetView.service.getPanorama(request));
+                    break;
+                } catch (error) {
+                    if (error.code !== StreetViewStatus.ZERO_RESULTS) {
+                        throw error;
+                    }
+                }
+            }
+
+            clearTimeout(streetView.povTimeout);
+            streetView.userChanged = false;
+
+            if (!data) {
+                streetView.panorama.setVisible(false);
+                return null;
+            }
+
+            const panoId = data.location.pano;
+            const usesSavedPov = pov && pov.panoId === panoId && typeof pov.heading === "number";
+
+            const result = {
+                panoId: panoId,
+                heading: usesSavedPov ? pov.heading : this._computeHeading(data.location.latLng, location),
+                pitch: usesSavedPov ? pov.pitch || 0 : 0,
+                zoom: usesSavedPov ? pov.zoom || 0 : 0
+            };
+
+            streetView.panorama.setPano(panoId);
+            streetView.panorama.setPov({ heading: result.heading, pitch: result.pitch });
+            streetView.panorama.setZoom(result.zoom);
+            streetView.panorama.setVisible(true);
+
+            return result;
+        },
+
+        removeStreetView: function (streetView) {
+            clearTimeout(streetView.povTimeout);
+            streetView.listeners.forEach(listener => listener.remove());
+            streetView.listeners = [];
+
+            if (streetView.panorama) {
+                google.maps.event.clearInstanceListeners(streetView.panorama);
+                streetView.panorama.setVisible(false);
+            }
+        },
+
+        /**
+         * Creates the panorama of a Street View handle, and reports point of view changes made by the user
+         * @param {Object} streetView - Street View handle
+         * @param {Function} StreetViewPanorama - Panorama class from the Street View library
+         * @private
+         */
+        _createPanorama: function (streetView, StreetViewPanorama) {
+            const readOnly = streetView.options.readOnly;
+
+            streetView.panorama = new StreetViewPanorama(streetView.node, {
+                visible: false,
+                addressControl: false,
+                fullscreenControl: false,
+                motionTracking: false,
+                motionTrackingControl: false,
+                enableCloseButton: false,
+                showRoadLabels: true,
+                clickToGo: !readOnly,
+                linksControl: !readOnly,
+                scrollwheel: !readOnly
+            });
+
+            const onPovChanged = streetView.options.onPovChanged;
+
+            if (!onPovChanged) {
+                return;
+            }
+
+            // Dragging and zooming change the point of view many times, so report once the user has stopped
+            const povChanged = function () {
+                if (!streetView.userChanged) {
+                    return;
+                }
+
+                clearTimeout(streetView.povTimeout);
+
+                streetView.povTimeout = setTimeout(function () {
+                    const panorama = streetView.panorama;
+                    const currentPov = panorama.getPov();
+
+                    onPovChanged({
+                        panoId: panorama.getPano(),
+                        heading: currentPov.heading,
+                        pitch: currentPov.pitch,
+                        zoom: panorama.getZoom()
+                    });
+                }, 500);
+            };
+
+            streetView.listeners.push(
+                this._addListener(streetView.panorama, "pov_changed", povChanged),
+                this._addListener(streetView.panorama, "pano_changed", povChanged),
+                this._addListener(streetView.panorama, "zoom_changed", povChanged)
+            );
+        },
+
+        /**
+         * Calculates the compass heading from one location to another
+         * @param {Object} from - Location to look from, such as the panorama position
+         * @param {Object} to - Location to look toward
+         * @returns {number} Heading in degrees clockwise from north (0-360)
+         * @private
+         */
+        _computeHeading: function (from, to) {
+            const toRadians = degrees => degrees * Math.PI / 180;
+
+            const fromLatitude = toRadians(from.lat());
+            const toLatitude = toRadians(to.lat());
+            const longitudeDelta = toRadians(to.lng() - from.lng());
+
+            const y = Math.sin(longitudeDelta) * Math.cos(toLatitude);
+            const x = Math.cos(fromLatitude) * Math.sin(toLatitude) - Math.sin(fromLatitude) * Math.cos(toLatitude) * Math.cos(longitudeDelta);
+
+            return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+        },
+
+        // ==================== Search & Geocoding ====================
+
+        /**
+         * Makes a lookup through the server-side proxy endpoint
+         * @param {string} action - Proxy action, such as "Autocomplete"
+         * @param {Object} parameters - Query string parameters, where null and undefined values are left out
+         * @returns {Promise<*>} Lookup result
+         * @private
+         */
+        _fetchProxy: async function (action, parameters) {
+            const query = new URLSearchParams();
+
+            Object.keys(parameters).forEach(function (name) {
+                if (parameters[name] !== null && parameters[name] !== undefined) {
+                    query.append(name, parameters[name]);
+                }
+            });
+
+            if (this.settings.language) {
+                query.append("language", this.settings.language);
+            }
+
+            const url = `${this.settings.proxyUrl.replace(/\/$/, "")}/${action}?${query}`;
+
+            this.log(`Proxy lookup: ${action}`, url);
+
+            const response = await fetch(url, { credentials: "same-origin" });
+
+            if (!response.ok) {
+                throw new Error(`Proxy lookup failed with status ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        /**
+         * Gets or loads the Places library (cached)
+         * Prevents repeated importLibrary calls
+         * @returns {Promise<Object>} Object containing AutocompleteSessionToken and AutocompleteSuggestion
+         * @private
+         */
+        _getPlacesLibrary: async function () {
+            if (this._placesLibrary) {
+                return this._placesLibrary;
+            }
+
+            this._placesLibrary = await GoogleMapsLoader.importLibrary("places");
+            return this._placesLibrary;
+        },
+
+        /**
+         * Gets or creates the Geocoder (cached)
+         * @returns {Promise<google.maps.Geocoder>} Geocoder instance
+         * @private
+         */
+        _getGeocoder: async function () {
+            if (this._geocoder) {
+                return this._geocoder;
+            }
+
+            const { Geocoder } = await GoogleMapsLoader.importLibrary("geocoding");
+            this._geocoder = new Geocoder();
+            return this._geocoder;
+        },
+
+        /**
+         * Fetches autocomplete suggestions from Places API
+         * Uses session token for cost optimization
+         */
+        fetchSuggestions: async function (input, options) {
+            if (this.settings.proxyUrl) {
+                if (!this._sessionToken) {
+                    this._sessionToken = crypto.randomUUID();
+                }
+
+                const bounds = options.bounds;
+                const suggestions = await this._fetchProxy("Autocomplete", {
+                    input: input,
+                    sessionToken: this._sessionToken,
+                    latitude: options.origin ? options.origin.lat() : null,
+                    longitude: options.origin ? options.origin.lng() : null,
+                    countries: options.countries && options.countries.length > 0 ? options.countries.join(",") : null,
+                    bounds: bounds ? [bounds.south, bounds.west, bounds.north, bounds.east].join(",") : null,
+                    placeTypes: options.placeTypes && options.placeTypes.length > 0 ? options.placeTypes.join(",") : null
+                });
+
+                return suggestions.map(suggestion => ({
+                    text: suggestion.text,
+                    placeId: suggestion.placeId
+                }));
+            }
+
+            const placesLib = await this._getPlacesLibrary();
+            const { AutocompleteSessionToken, AutocompleteSuggestion } = placesLib;
+
+            if (!this._sessionToken) {
+                this._sessionToken = new AutocompleteSessionToken();
+            }
+
+            const request = {
+                input: input,
+                sessionToken: this._sessionToken
+            };
+
+            if (options.origin) {
+                request.origin = { lat: options.origin.lat(), lng: options.origin.lng() };
+            }
+
+            if (options.countries && options.countries.length > 0) {
+                request.includedRegionCodes = options.countries.map(country => country.toLowerCase());
+            }
+
+            if (options.bounds) {
+                request.locationRestriction = options.bounds;
+            }
+
+            if (options.placeTypes && options.placeTypes.length > 0) {
+                request.includedPrimaryTypes = options.placeTypes;
+            }
+
+            const { suggestions } = await AutocompleteSuggestion.fetchAutocompleteSuggestions(request);
+
+            return suggestions.map(suggestion => ({
+                text: suggestion.placePrediction.text.toString(),
+                placePrediction: suggestion.placePrediction
+            }));
+        },
+
+        /**
+         * Fetches full place details of a suggestion
+         * The place details request ends the autocomplete session, so the next search starts a new session
+         */
+        getSuggestionPlace: async function (suggestion) {
+            try {
+                return await this._getSuggestionPlace(suggestion);
+            } finally {
+                this._sessionToken = null;
+            }
+        },
+
+        /**
+         * Fetches full place details of a suggestion, using the session token of the search
+         * @param {Object} suggestion - Suggestion returned by fetchSuggestions()
+         * @returns {Promise<Object|null>} Place, or null if it has no location
+         * @private
+         */
+        _getSuggestionPlace: async function (suggestion) {
+            if (this.settings.proxyUrl) {
+                const result = await this._fetchProxy("Place", {
+                    placeId: suggestion.placeId,
+                    sessionToken: this._sessionToken
+                });
+
+                if (!result) {
+                    return null;
+                }
+
+                const viewport = result.viewport;
+
+                return {
+                    location: new google.maps.LatLng(result.latitude, result.longitude),
+                    placeId: result.placeId,
+                    displayName: result.displayName,
+                    formattedAddress: result.formattedAddress,
+                    viewport: viewport ? { south: viewport[0], west: viewport[1], north: viewport[2], east: viewport[3] } : null
+                };
+            }
+
+            const place = suggestion.placePrediction.toPlace();
+            await place.fetchFields({
+                fields: ['displayName', 'formattedAddress', 'location', 'viewport']
+            });
+
+            if (!place.location) {
+                return null;
+            }
+
+            return {
+                location: new google.maps.LatLng(place.location.lat(), place.location.lng()),
+                placeId: place.id,
+                displayName: place.displayName,
+                formattedAddress: place.formattedAddress,
+                viewport: place.viewport ? place.viewport.toJSON() : null
+            };
+        },
+
+        /**
+         * Looks up the address of a location using the Geocoding service
+         */
+        reverseGeocode: async function (location) {
+            if (this.settings.proxyUrl) {
+                return this._fetchProxy("ReverseGeocode", {
+                    latitude: location.lat(),
+                    longitude: location.lng()
+                });
+            }
+
+            let results;
+
+            try {
+                const geocoder = await this._getGeocoder();
+                ({ results } = await geocoder.geocode({ location: location }));
+            } catch (error) {
+                // Geocoder rejects with ZERO_RESULTS when there is no address, for example in the middle of an ocean
+                if (error && error.code === "ZERO_RESULTS") {
+                    return null;
+                }
+                throw error;
+            }
+
+            if (!results || results.length === 0) {
+                return null;
+            }
+
+            let countryCode = null;
+
+            results.some(result => (result.address_components || []).some(function (component) {
+                if (component.types.indexOf("country") >= 0) {
+                    countryCode = component.short_name.toUpperCase();
+                    return true;
+                }
+                return false;
+            }));
+
+            return {
+                placeId: results[0].place_id,
+                formattedAddress: results[0].formatted_address,
+                countryCode: countryCode
+            };
+        },
+
+        destroy: function () {
+            this._removeAuthFailureSignal();
+
+            this._sessionToken = null;
+            this._placesLibrary = null;
+            this._geocoder = null;
+        }
+    });
+});
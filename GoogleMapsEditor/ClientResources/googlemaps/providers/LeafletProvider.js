@@ -0,0 +1,613 @@
+/**
+ * Leaflet provider for the Google Maps Editor Widget
+ *
+ * Uses Leaflet with any tile server (OpenStreetMap by default) for the map, and a Nominatim-compatible
+ * geocoding endpoint for search suggestions and addresses. No Google APIs or API key are used.
+ *
+ * Limitations compared to Google Maps:
+ * - Circles can't be resized on the map, only using the radius field
+ * - Vertices can't be inserted between existing vertices of areas and routes
+ * - Place types aren't supported as search restrictions
+ * - Map types (satellite and terrain) and Street View aren't available
+ *
+ * Settings:
+ * - scriptUrl: URL of the Leaflet script
+ * - styleUrl: URL of the Leaflet stylesheet
+ * - tileUrl: URL template for map tiles, for example https://tile.openstreetmap.org/{z}/{x}/{y}.png
+ * - attribution: Attribution HTML displayed on the map, as required by the tile server
+ * - geocodingUrl: Base URL of the Nominatim-compatible geocoding endpoint (search and reverse), if any
+ *   Without it, there are no search suggestions or addresses. Requests are limited to one per second for the whole page,
+ *   and searches are only made once typing has paused, as required by the public Nominatim server
+ * - language: Preferred language of addresses, such as "sv"
+ */
+define([
+    "dojo/_base/declare",
+
+    "./_MapProvider"
+],
+function (
+    declare,
+    _MapProvider
+) {
+
+    /**
+     * Time when the next geocoding request may be made (milliseconds since epoch)
+     * Shared by all editors on the page, since the module is loaded once, so requests are limited per page rather than per editor
+     * @type {number}
+     */
+    let nextGeocodingTime = 0;
+
+    return declare([_MapProvider], {
+
+        /**
+         * Observer which updates the map size when its element is resized, for example when a hidden tab is shown
+         * @type {ResizeObserver}
+         * @private
+         */
+        _resizeObserver: null,
+
+        /**
+         * Minimum time between geocoding requests in milliseconds
+         * @type {number}
+         * @private
+         */
+        _geocodingInterval: 1000,
+
+        /**
+         * Time to wait after the latest input before searching, in milliseconds
+         * @type {number}
+         * @private
+         */
+        _searchDelay: 1000,
+
+        /**
+         * Timer for the pending search, restarted for every input
+         * @type {number}
+         * @private
+         */
+        _searchTimer: null,
+
+        /**
+         * Pending search, shared by all inputs until the search is made
+         * @type {{promise: Promise, resolve: Function, reject: Function}}
+         * @private
+         */
+        _pendingSearch: null,
+
+        // ==================== Loading ====================
+
+        /**
+         * Loads the Leaflet stylesheet and script, unless already loaded or loading
+         * @returns {Promise} Resolved when the Leaflet script has loaded, rejected if it fails or times out
+         */
+        load: function () {
+            this._addStylesheet();
+
+            if (typeof L === "object" && typeof L.map === "function") {
+                return Promise.resolve();
+            }
+
+            return this._withLoadTimeout(new Promise(function (resolve, reject) {
+                const scriptElementId = "googleMapsEditor-leaflet-script";
+                let tag = document.getElementById(scriptElementId);
+
+                if (!tag) {
+                    this.log("Loading Leaflet script...", this.settings.scriptUrl);
+
+                    tag = document.createElement("script");
+                    tag.id = scriptElementId;
+                    tag.src = this.settings.scriptUrl;
+                    document.head.appendChild(tag);
+                }
+
+                // Script tag may have been added by another editor and still be loading
+                tag.addEventListener("load", function () {
+                    this.log("Leaflet loaded successfully");
+                    resolve();
+                }.bind(this));
+
+                tag.addEventListener("error", function () {
+                    // Remove the failed script tag, so the script is loaded again by the next editor
+                    tag.remove();
+                    reject(this._createScriptError(this.settings.scriptUrl));
+                }.bind(this));
+            }.bind(this)));
+        },
+
+        /**
+         * Adds the Leaflet stylesheet, unless already added
+         * @private
+         */
+        _addStylesheet: function () {
+            const styleElementId = "googleMapsEditor-leaflet-style";
+
+            if (document.getElementById(styleElementId)) {
+                return;
+            }
+
+            const link = document.createElement("link");
+            link.id = styleElementId;
+            link.rel = "stylesheet";
+            link.href = this.settings.styleUrl;
+            document.head.appendChild(link);
+        },
+
+        // ==================== Map ====================
+
+        /**
+         * Converts a Leaflet LatLng to a location
+         * @param {L.LatLng} latLng - Leaflet coordinates
+         * @returns {{lat: Function, lng: Function}} Location
+         * @private
+         */
+        _toLocation: function (latLng) {
+            return this.createLocation(latLng.lat, latLng.lng);
+        },
+
+        /**
+         * Converts a location, or a {lat, lng} literal, to a Leaflet LatLng
+         * @param {Object} location - Location
+         * @returns {L.LatLng} Leaflet coordinates
+         * @private
+         */
+        _toLatLng: function (location) {
+            return typeof location.lat === "function" ?
+                L.latLng(location.lat(), location.lng()) :
+                L.latLng(location.lat, location.lng);
+        },
+
+        createMap: function (node, options) {
+            const mapOptions = {
+                center: this._toLatLng(options.center),
+                zoom: options.zoom,
+                zoomControl: options.controls.zoom,
+                doubleClickZoom: !options.readOnly && !options.disableDoubleClickZoom,
+                scrollWheelZoom: !options.readOnly,
+                dragging: !options.readOnly,
+                keyboard: !options.readOnly
+            };
+
+            // Leaflet bounds can't cross the antimeridian
+            const bounds = options.restrictionBounds;
+            if (bounds && bounds.west <= bounds.east) {
+                mapOptions.maxBounds = L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east]).pad(0.5);
+            }
+
+            const map = L.map(node, mapOptions);
+
+            L.tileLayer(this.settings.tileUrl, {
+                attribution: this.settings.attribution,
+                maxZoom: 19
+            }).addTo(map);
+
+            // Display grayscale map if property is readonly
+            if (options.readOnly) {
+                map.getPane("tilePane").style.filter = "grayscale(100%)";
+            }
+
+            if (typeof ResizeObserver === "function") {
+                this._resizeObserver = new ResizeObserver(() => map.invalidateSize());
+                this._resizeObserver.observe(node);
+            }
+
+            return map;
+        },
+
+        removeMap: function (map) {
+            if (this._resizeObserver) {
+                this._resizeObserver.disconnect();
+                this._resizeObserver = null;
+            }
+
+            map.remove();
+        },
+
+        onMapClick: function (map, callback) {
+            return this._addListener(map, "click", event => callback(this._toLocation(event.latlng)));
+        },
+
+        onMapRightClick: function (map, callback) {
+            return this._addListener(map, "contextmenu", event => callback(this._toLocation(event.latlng)));
+        },
+
+        getCenter: function (map) {
+            return this._toLocation(map.getCenter());
+        },
+
+        setCenter: function (map, location, pan) {
+            map.panTo(this._toLatLng(location), { animate: !!pan });
+        },
+
+        setZoom: function (map, zoom) {
+            map.setZoom(zoom);
+        },
+
+        getZoom: function (map) {
+            return map.getZoom();
+        },
+
+        onViewChanged: function (map, callback) {
+            return this._addListener(map, "moveend", () => callback());
+        },
+
+        fitBounds: function (map, locations) {
+            map.fitBounds(L.latLngBounds(locations.map(location => this._toLatLng(location))), { padding: [20, 20] });
+        },
+
+        /**
+         * Adds an event listener to a Leaflet map or layer
+         * @param {L.Evented} instance - Map or layer
+         * @param {string} eventName - Event name
+         * @param {Function} handler - Event handler
+         * @returns {{remove: Function}} Listener
+         * @private
+         */
+        _addListener: function (instance, eventName, handler) {
+            instance.on(eventName, handler);
+
+            return {
+                remove: function () {
+                    instance.off(eventName, handler);
+                }
+            };
+        },
+
+        // ==================== Markers ====================
+
+        createMarker: function (map, location, options) {
+            const markerOptions = {
+                draggable: !!options.draggable,
+                title: options.title || "",
+                zIndexOffset: options.selected ? 1000 : 0
+            };
+
+            // Numbered markers use a styled element, highlighted when selected
+            if (options.label) {
+                const label = document.createElement("span");
+                label.textContent = options.label;
+
+                markerOptions.icon = L.divIcon({
+                    className: "google-maps-editor-leaflet-pin" + (options.selected ? " selected" : ""),
+                    html: label.outerHTML,
+                    iconSize: [26, 26],
+                    iconAnchor: [13, 26]
+                });
+            }
+
+            const element = L.marker(this._toLatLng(location), markerOptions).addTo(map);
+
+            if (options.onClick) {
+                element.on("click", () => options.onClick());
+            }
+
+            if (options.onDragEnd) {
+                element.on("dragend", () => options.onDragEnd(this._toLocation(element.getLatLng())));
+            }
+
+            return { element: element };
+        },
+
+        setMarkerPosition: function (marker, location) {
+            marker.element.setLatLng(this._toLatLng(location));
+        },
+
+        removeMarker: function (marker) {
+            marker.element.off();
+            marker.element.remove();
+        },
+
+        // ==================== Circles ====================
+
+        /**
+         * Creates a circle, which follows the marker when it's dragged but can't be resized on the map
+         */
+        createCircle: function (map, center, radius, options) {
+            return {
+                element: L.circle(this._toLatLng(center), {
+                    radius: radius,
+                    interactive: false,
+                    color: "#0037ff",
+                    opacity: 0.9,
+                    weight: 2,
+                    fillColor: "#0037ff",
+                    fillOpacity: 0.15
+                }).addTo(map)
+            };
+        },
+
+        setCircle: function (circle, center, radius) {
+            circle.element.setLatLng(this._toLatLng(center));
+            circle.element.setRadius(radius);
+        },
+
+        getCircleRadius: function (circle) {
+            return circle.element.getRadius();
+        },
+
+        getCircleBounds: function (circle) {
+            const bounds = circle.element.getBounds();
+
+            return [this._toLocation(bounds.getSouthWest()), this._toLocation(bounds.getNorthEast())];
+        },
+
+        removeCircle: function (circle) {
+            circle.element.remove();
+        },
+
+        // ==================== Shapes ====================
+
+        /**
+         * Creates a polygon or polyline, where each vertex is a draggable handle if editable
+         */
+        createShape: function (map, type, path, options) {
+            const style = {
+                color: "#0037ff",
+                opacity: 0.9,
+                weight: 3,
+                bubblingMouseEvents: false
+            };
+
+            const latLngs = path.map(location => this._toLatLng(location));
+
+            const shape = {
+                map: map,
+                options: options,
+                latLngs: latLngs,
+                handles: [],
+                element: type === "polygon" ?
+                    L.polygon(latLngs, Object.assign(style, { fillColor: "#0037ff", fillOpacity: 0.15 })) :
+                    L.polyline(latLngs, style)
+            };
+
+            shape.element.addTo(map);
+
+            if (options.editable) {
+                shape.element.on("click", function (event) {
+                    if (options.onClick) {
+                        options.onClick(this._toLocation(event.latlng));
+                    }
+                }.bind(this));
+
+                this._renderShapeHandles(shape);
+            }
+
+            return shape;
+        },
+
+        addShapeVertex: function (shape, location) {
+            shape.latLngs.push(this._toLatLng(location));
+            this._shapePathChanged(shape);
+        },
+
+        removeShape: function (shape) {
+            this._removeShapeHandles(shape);
+            shape.element.off();
+            shape.element.remove();
+        },
+
+        /**
+         * Renders a draggable handle for each vertex, which is removed when right-clicked
+         * @param {Object} shape - Shape handle
+         * @private
+         */
+        _renderShapeHandles: function (shape) {
+            this._removeShapeHandles(shape);
+
+            shape.latLngs.forEach(function (latLng, index) {
+                const handle = L.marker(latLng, {
+                    draggable: true,
+                    icon: L.divIcon({ className: "google-maps-editor-leaflet-vertex", iconSize: [12, 12] })
+                }).addTo(shape.map);
+
+                handle.on("drag", function () {
+                    shape.latLngs[index] = handle.getLatLng();
+                    shape.element.setLatLngs(shape.latLngs);
+                });
+
+                handle.on("dragend", function () {
+                    this._shapePathChanged(shape);
+                }.bind(this));
+
+                handle.on("contextmenu", function () {
+                    shape.latLngs.splice(index, 1);
+                    this._shapePathChanged(shape);
+                }.bind(this));
+
+                shape.handles.push(handle);
+            }, this);
+        },
+
+        /**
+         * Removes the vertex handles of a shape
+         * @param {Object} shape - Shape handle
+         * @private
+         */
+        _removeShapeHandles: function (shape) {
+            shape.handles.forEach(function (handle) {
+                handle.off();
+                handle.remove();
+            });
+
+            shape.handles = [];
+        },
+
+        /**
+         * Updates a shape and its handles after its vertices have changed, and invokes its onPathChanged callback
+         * @param {Object} shape - Shape handle
+         * @private
+         */
+        _shapePathChanged: function (shape) {
+            shape.element.setLatLngs(shape.latLngs);
+            this._renderShapeHandles(shape);
+
+            if (shape.options.onPathChanged) {
+                shape.options.onPathChanged(shape.latLngs.map(latLng => this._toLocation(latLng)));
+            }
+        },
+
+        // ==================== Search & Geocoding ====================
+
+        /**
+         * Sends a request to the geocoding endpoint
+         * @param {string} path - Endpoint path, "search" or "reverse"
+         * @param {Object} parameters - Query string parameters
+         * @returns {Promise<*>} Parsed JSON response
+         * @private
+         */
+        _fetchGeocoding: async function (path, parameters) {
+            await this._waitForGeocodingSlot();
+
+            const query = new URLSearchParams(Object.assign({ format: "jsonv2", addressdetails: "1" }, parameters));
+
+            if (this.settings.language) {
+                query.set("accept-language", this.settings.language);
+            }
+
+            const baseUrl = String(this.settings.geocodingUrl).replace(/\/+$/, "");
+            const response = await fetch(`${baseUrl}/${path}?${query}`, { headers: { "Accept": "application/json" } });
+
+            if (!response.ok) {
+                throw new Error(`Geocoding request failed with status ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        /**
+         * Waits until a geocoding request may be made, so that at most one request per second is made by all editors on the page
+         * @returns {Promise} Resolved when the request may be made
+         * @private
+         */
+        _waitForGeocodingSlot: function () {
+            const now = Date.now(),
+                  wait = Math.max(0, nextGeocodingTime - now);
+
+            nextGeocodingTime = now + wait + this._geocodingInterval;
+
+            return new Promise(resolve => setTimeout(resolve, wait));
+        },
+
+        /**
+         * Converts the bounding box of a geocoding result to a viewport
+         * @param {Array<string>} boundingBox - South latitude, north latitude, west longitude, and east longitude
+         * @returns {{north: number, south: number, east: number, west: number}|null} Viewport, or null if unknown
+         * @private
+         */
+        _toViewport: function (boundingBox) {
+            if (!Array.isArray(boundingBox) || boundingBox.length !== 4) {
+                return null;
+            }
+
+            const [south, north, west, east] = boundingBox.map(parseFloat);
+
+            return { north: north, south: south, east: east, west: west };
+        },
+
+        /**
+         * Converts a geocoding result to a place ID, such as "node/123456"
+         * @param {Object} result - Nominatim result
+         * @returns {string|null} OpenStreetMap type and ID, or null if unknown
+         * @private
+         */
+        _toPlaceId: function (result) {
+            return result.osm_type && result.osm_id ? `${result.osm_type}/${result.osm_id}` : null;
+        },
+
+        /**
+         * Fetches search suggestions from the geocoding endpoint, once typing has paused
+         * Earlier calls made while waiting get the suggestions of the latest input, so only one search is made
+         */
+        fetchSuggestions: function (input, options) {
+            if (!this.settings.geocodingUrl) {
+                return Promise.resolve([]);
+            }
+
+            if (!this._pendingSearch) {
+                const pendingSearch = {};
+
+                pendingSearch.promise = new Promise(function (resolve, reject) {
+                    pendingSearch.resolve = resolve;
+                    pendingSearch.reject = reject;
+                });
+
+                this._pendingSearch = pendingSearch;
+            }
+
+            const pendingSearch = this._pendingSearch;
+
+            clearTimeout(this._searchTimer);
+
+            this._searchTimer = setTimeout(function () {
+                this._pendingSearch = null;
+                this._searchTimer = null;
+                this._search(input, options).then(pendingSearch.resolve, pendingSearch.reject);
+            }.bind(this), this._searchDelay);
+
+            return pendingSearch.promise;
+        },
+
+        /**
+         * Searches the geocoding endpoint
+         * @param {string} input - Text typed by the user
+         * @param {Object} options - Search options, see fetchSuggestions()
+         * @returns {Promise<Array<{text: string, result: Object}>>} Suggestions
+         * @private
+         */
+        _search: async function (input, options) {
+            const parameters = { q: input, limit: "5" };
+
+            if (options.countries && options.countries.length > 0) {
+                parameters.countrycodes = options.countries.join(",").toLowerCase();
+            }
+
+            if (options.bounds) {
+                parameters.viewbox = [options.bounds.west, options.bounds.north, options.bounds.east, options.bounds.south].join(",");
+                parameters.bounded = "1";
+            }
+
+            const results = await this._fetchGeocoding("search", parameters);
+
+            return (Array.isArray(results) ? results : []).map(result => ({
+                text: result.display_name,
+                result: result
+            }));
+        },
+
+        getSuggestionPlace: async function (suggestion) {
+            const result = suggestion.result;
+
+            return {
+                location: this.createLocation(parseFloat(result.lat), parseFloat(result.lon)),
+                placeId: this._toPlaceId(result),
+                displayName: result.name || null,
+                formattedAddress: result.display_name,
+                viewport: this._toViewport(result.boundingbox)
+            };
+        },
+
+        reverseGeocode: async function (location) {
+            if (!this.settings.geocodingUrl) {
+                return null;
+            }
+
+            const result = await this._fetchGeocoding("reverse", { lat: location.lat(), lon: location.lng() });
+
+            // Nominatim responds with an error property when there is no address, for example in the middle of an ocean
+            if (!result || result.error) {
+                return null;
+            }
+
+            return {
+                placeId: this._toPlaceId(result),
+                formattedAddress: result.display_name,
+                countryCode: result.address && result.address.country_code ? result.address.country_code.toUpperCase() : null
+            };
+        },
+
+        destroy: function () {
+            clearTimeout(this._searchTimer);
+            this._searchTimer = null;
+            this._pendingSearch = null;
+        }
+    });
+});
@@ -0,0 +1,433 @@
+/**
+ * Base class for map providers used by the Google Maps Editor Widget
+ *
+ * A map provider wraps a mapping library and a geocoding service, so the editor itself never
+ * calls a specific library. Each editor creates its own provider instance.
+ *
+ * Conventions:
+ * - Locations are objects with lat() and lng() functions returning decimal degrees, like google.maps.LatLng
+ * - Maps, markers, circles, and shapes are handles created by the provider, and only passed back to it
+ * - Listeners are returned as objects with a remove() function, so they can be owned by the widget
+ * - Load failures are errors with a code: "offline", "script", "authentication", or "timeout"
+ *
+ * Implementations:
+ * - GoogleMapsProvider: Google Maps JavaScript API with the Places and Geocoding APIs (default)
+ * - LeafletProvider: Leaflet with any tile server, and a Nominatim-compatible geocoding endpoint
+ */
+define([
+    "dojo/_base/declare"
+],
+function (
+    declare
+) {
+    return declare(null, {
+
+        /**
+         * Provider settings from the editor configuration
+         * @type {Object}
+         */
+        settings: null,
+
+        /**
+         * Milliseconds to wait for the provider scripts to load before failing with a "timeout" error
+         * @type {number}
+         */
+        loadTimeout: 20000,
+
+        /**
+         * Creates the provider
+         * @param {Object} settings - Provider settings from the editor configuration
+         * @param {Function} [settings.log] - Optional function to log debug messages with
+         */
+        constructor: function (settings) {
+            this.settings = settings || {};
+        },
+
+        /**
+         * Logs a debug message using the log function from the settings, if any
+         * @param {string} message - Message to log
+         * @param {*} [data] - Optional data to include in log
+         */
+        log: function (message, data) {
+            if (this.settings.log) {
+                this.settings.log(message, data);
+            }
+        },
+
+        // ==================== Loading ====================
+
+        /**
+         * Loads the scripts required by the provider
+         * @returns {Promise} Resolved when the provider can be used
+         */
+        load: function () {
+            return Promise.reject(new Error("load() not implemented by map provider"));
+        },
+
+        /**
+         * Listens for failures after the provider has loaded, such as the API key being rejected
+         * @param {Function} callback - Invoked with an error with a code, like load failures
+         * @returns {{remove: Function}} Listener
+         */
+        onFailure: function (callback) {
+            return { remove: function () { } };
+        },
+
+        /**
+         * Creates a load error
+         * @param {string} code - "offline", "script", "authentication", or "timeout"
+         * @param {string} message - Message for the console
+         * @returns {Error} Error with a code property
+         * @protected
+         */
+        _createLoadError: function (code, message) {
+            const error = new Error(message);
+            error.code = code;
+            return error;
+        },
+
+        /**
+         * Creates a load error for a script which failed to load, which is an "offline" error if the browser is offline
+         * @param {string} url - URL of the script
+         * @returns {Error} Error with a code property
+         * @protected
+         */
+        _createScriptError: function (url) {
+            return navigator.onLine === false
+                ? this._createLoadError("offline", `Failed to load ${url} since the browser is offline`)
+                : this._createLoadError("script", `Failed to load ${url}`);
+        },
+
+        /**
+         * Rejects with a "timeout" error if a promise isn't settled within the load timeout
+         * @param {Promise} promise - Promise for loading the provider scripts
+         * @returns {Promise} Promise settled like the original promise, or rejected on timeout
+         * @protected
+         */
+        _withLoadTimeout: function (promise) {
+            let timeout;
+
+            const timeoutPromise = new Promise(function (resolve, reject) {
+                timeout = setTimeout(function () {
+                    reject(this._createLoadError("timeout", `Map provider did not load within ${this.loadTimeout} ms`));
+                }.bind(this), this.loadTimeout);
+            }.bind(this));
+
+            return Promise.race([promise, timeoutPromise]).finally(function () {
+                clearTimeout(timeout);
+            });
+        },
+
+        // ==================== Map ====================
+
+        /**
+         * Creates a location
+         * Works without the provider scripts, so coordinates can be edited even if the map failed to load
+         * @param {number} latitude - Latitude in decimal degrees
+         * @param {number} longitude - Longitude in decimal degrees
+         * @returns {{lat: Function, lng: Function}} Location
+         */
+        createLocation: function (latitude, longitude) {
+            return {
+                lat: () => latitude,
+                lng: () => longitude
+            };
+        },
+
+        /**
+         * Creates a map
+         * @param {HTMLElement} node - Element to render the map in
+         * @param {Object} options - Map options
+         * @param {Object} options.center - Initial center location
+         * @param {number} options.zoom - Initial zoom level (1-20)
+         * @param {boolean} options.readOnly - True to disable interaction and display the map in grayscale
+         * @param {boolean} options.disableDoubleClickZoom - True to disable zooming by double-clicking
+         * @param {{mapType: boolean, zoom: boolean, streetView: boolean}} options.controls - Controls to display, if supported by the provider
+         * @param {{north: number, south: number, east: number, west: number}} [options.restrictionBounds] - Optional bounds to keep the map view near
+         * @returns {Object} Map handle
+         */
+        createMap: function (node, options) {
+            throw new Error("createMap() not implemented by map provider");
+        },
+
+        /**
+         * Removes a map and releases its resources
+         * @param {Object} map - Map handle
+         */
+        removeMap: function (map) {
+        },
+
+        /**
+         * Listens for clicks on a map
+         * @param {Object} map - Map handle
+         * @param {Function} callback - Invoked with the clicked location
+         * @returns {{remove: Function}} Listener
+         */
+        onMapClick: function (map, callback) {
+            throw new Error("onMapClick() not implemented by map provider");
+        },
+
+        /**
+         * Listens for right-clicks on a map
+         * @param {Object} map - Map handle
+         * @param {Function} callback - Invoked with the right-clicked location
+         * @returns {{remove: Function}} Listener
+         */
+        onMapRightClick: function (map, callback) {
+            throw new Error("onMapRightClick() not implemented by map provider");
+        },
+
+        /**
+         * Gets the center of a map
+         * @param {Object} map - Map handle
+         * @returns {Object} Center location
+         */
+        getCenter: function (map) {
+            throw new Error("getCenter() not implemented by map provider");
+        },
+
+        /**
+         * Centers a map on a location
+         * @param {Object} map - Map handle
+         * @param {Object} location - Location to center on
+         * @param {boolean} [pan] - Optional flag to pan smoothly to the location
+         */
+        setCenter: function (map, location, pan) {
+            throw new Error("setCenter() not implemented by map provider");
+        },
+
+        /**
+         * Sets the zoom level of a map
+         * @param {Object} map - Map handle
+         * @param {number} zoom - Zoom level (1-20)
+         */
+        setZoom: function (map, zoom) {
+            throw new Error("setZoom() not implemented by map provider");
+        },
+
+        /**
+         * Gets the zoom level of a map
+         * @param {Object} map - Map handle
+         * @returns {number} Zoom level (1-20)
+         */
+        getZoom: function (map) {
+            throw new Error("getZoom() not implemented by map provider");
+        },
+
+        /**
+         * Listens for the map view having changed, once panning and zooming has finished
+         * Invoked for changes made both by the user and by the editor
+         * @param {Object} map - Map handle
+         * @param {Function} callback - Invoked when the map view has changed
+         * @returns {{remove: Function}} Listener
+         */
+        onViewChanged: function (map, callback) {
+            throw new Error("onViewChanged() not implemented by map provider");
+        },
+
+        /**
+         * Adjusts the map view to show all locations
+         * @param {Object} map - Map handle
+         * @param {Array<Object>} locations - Locations to show
+         */
+        fitBounds: function (map, locations) {
+            throw new Error("fitBounds() not implemented by map provider");
+        },
+
+        // ==================== Markers ====================
+
+        /**
+         * Creates a marker
+         * @param {Object} map - Map handle
+         * @param {Object} location - Marker location
+         * @param {Object} options - Marker options
+         * @param {boolean} [options.draggable] - True if the marker can be dragged
+         * @param {string} [options.title] - Optional tooltip
+         * @param {string} [options.label] - Optional text displayed in the marker, such as a number
+         * @param {boolean} [options.selected] - True to highlight the marker
+         * @param {Function} [options.onClick] - Invoked when the marker is clicked
+         * @param {Function} [options.onDragEnd] - Invoked with the new location when the marker has been dragged
+         * @returns {Object} Marker handle
+         */
+        createMarker: function (map, location, options) {
+            throw new Error("createMarker() not implemented by map provider");
+        },
+
+        /**
+         * Moves a marker
+         * @param {Object} marker - Marker handle
+         * @param {Object} location - New location
+         */
+        setMarkerPosition: function (marker, location) {
+            throw new Error("setMarkerPosition() not implemented by map provider");
+        },
+
+        /**
+         * Removes a marker from its map, including its listeners
+         * @param {Object} marker - Marker handle
+         */
+        removeMarker: function (marker) {
+            throw new Error("removeMarker() not implemented by map provider");
+        },
+
+        // ==================== Circles ====================
+
+        /**
+         * Creates a circle
+         * @param {Object} map - Map handle
+         * @param {Object} center - Circle center
+         * @param {number} radius - Radius in meters
+         * @param {Object} options - Circle options
+         * @param {boolean} [options.editable] - True if the center and radius can be changed on the map, if supported by the provider
+         * @param {Function} [options.onRadiusChanged] - Invoked with the new radius when changed on the map
+         * @param {Function} [options.onCenterChanged] - Invoked with the new center when changed on the map
+         * @returns {Object} Circle handle
+         */
+        createCircle: function (map, center, radius, options) {
+            throw new Error("createCircle() not implemented by map provider");
+        },
+
+        /**
+         * Moves and/or resizes a circle, without invoking its change callbacks
+         * @param {Object} circle - Circle handle
+         * @param {Object} center - Circle center
+         * @param {number} radius - Radius in meters
+         */
+        setCircle: function (circle, center, radius) {
+            throw new Error("setCircle() not implemented by map provider");
+        },
+
+        /**
+         * Gets the radius of a circle
+         * @param {Object} circle - Circle handle
+         * @returns {number} Radius in meters
+         */
+        getCircleRadius: function (circle) {
+            throw new Error("getCircleRadius() not implemented by map provider");
+        },
+
+        /**
+         * Gets the bounds of a circle
+         * @param {Object} circle - Circle handle
+         * @returns {Array<Object>} South-west and north-east locations
+         */
+        getCircleBounds: function (circle) {
+            throw new Error("getCircleBounds() not implemented by map provider");
+        },
+
+        /**
+         * Removes a circle from its map, including its listeners
+         * @param {Object} circle - Circle handle
+         */
+        removeCircle: function (circle) {
+            throw new Error("removeCircle() not implemented by map provider");
+        },
+
+        // ==================== Shapes ====================
+
+        /**
+         * Creates a polygon or polyline
+         * @param {Object} map - Map handle
+         * @param {string} type - "polygon" or "polyline"
+         * @param {Array<{lat: number, lng: number}>} path - Vertices
+         * @param {Object} options - Shape options
+         * @param {boolean} [options.editable] - True if vertices can be moved and removed on the map
+         * @param {Function} [options.onPathChanged] - Invoked with the new vertices (locations) when changed on the map
+         * @param {Function} [options.onClick] - Invoked with the clicked location when the shape itself is clicked
+         * @returns {Object} Shape handle
+         */
+        createShape: function (map, type, path, options) {
+            throw new Error("createShape() not implemented by map provider");
+        },
+
+        /**
+         * Adds a vertex to the end of a shape, which invokes its onPathChanged callback
+         * @param {Object} shape - Shape handle
+         * @param {Object} location - Vertex location
+         */
+        addShapeVertex: function (shape, location) {
+            throw new Error("addShapeVertex() not implemented by map provider");
+        },
+
+        /**
+         * Removes a shape from its map, including its listeners
+         * @param {Object} shape - Shape handle
+         */
+        removeShape: function (shape) {
+            throw new Error("removeShape() not implemented by map provider");
+        },
+
+        // ==================== Street View ====================
+
+        /**
+         * Creates a street-level panorama, if supported by the provider
+         * @param {HTMLElement} node - Element to render the panorama in
+         * @param {Object} options - Panorama options
+         * @param {boolean} options.readOnly - True to only allow looking around, not moving to other panoramas
+         * @param {Function} [options.onPovChanged] - Invoked with the new point of view when changed by the user
+         * @returns {Object|null} Panorama handle, or null if street-level imagery isn't supported
+         */
+        createStreetView: function (node, options) {
+            return null;
+        },
+
+        /**
+         * Shows the panorama nearest to a location
+         * @param {Object} streetView - Panorama handle
+         * @param {Object} location - Location to show imagery of
+         * @param {{panoId: string, heading: number, pitch: number, zoom: number}} [pov] - Optional saved point of view, otherwise the panorama looks toward the location
+         * @returns {Promise<{panoId: string, heading: number, pitch: number, zoom: number}|null>} Point of view, or null if there's no imagery nearby
+         */
+        setStreetViewLocation: function (streetView, location, pov) {
+            return Promise.resolve(null);
+        },
+
+        /**
+         * Removes a panorama, including its listeners
+         * @param {Object} streetView - Panorama handle
+         */
+        removeStreetView: function (streetView) {
+        },
+
+        // ==================== Search & Geocoding ====================
+
+        /**
+         * Fetches search suggestions
+         * @param {string} input - Text typed by the user
+         * @param {Object} options - Search options
+         * @param {Object} [options.origin] - Optional location to prefer results near, such as the map center
+         * @param {Array<string>} [options.countries] - Optional upper-case country codes to limit results to
+         * @param {{north: number, south: number, east: number, west: number}} [options.bounds] - Optional bounds to limit results to
+         * @param {Array<string>} [options.placeTypes] - Optional place types to limit results to, if supported by the provider
+         * @returns {Promise<Array<{text: string}>>} Suggestions
+         */
+        fetchSuggestions: function (input, options) {
+            return Promise.reject(new Error("fetchSuggestions() not implemented by map provider"));
+        },
+
+        /**
+         * Gets the location and details of a suggestion
+         * @param {{text: string}} suggestion - Suggestion returned by fetchSuggestions()
+         * The viewport is the suggested map view of the place, such as the extent of a city, or null if unknown
+         * @returns {Promise<{location: Object, placeId: string, displayName: string, formattedAddress: string, viewport: {north: number, south: number, east: number, west: number}}|null>} Place, or null if it has no location
+         */
+        getSuggestionPlace: function (suggestion) {
+            return Promise.reject(new Error("getSuggestionPlace() not implemented by map provider"));
+        },
+
+        /**
+         * Looks up the address of a location
+         * @param {Object} location - Location to look up
+         * @returns {Promise<{placeId: string, formattedAddress: string, countryCode: string}|null>} Address, or null if none was found (rejected if the lookup failed)
+         */
+        reverseGeocode: function (location) {
+            return Promise.reject(new Error("reverseGeocode() not implemented by map provider"));
+        },
+
+        /**
+         * Releases resources held by the provider
+         */
+        destroy: function () {
+        }
+    });
+});
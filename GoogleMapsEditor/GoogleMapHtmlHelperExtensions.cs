@@ -0,0 +1,30 @@
+﻿using Microsoft.AspNetCore.Html;
+using Microsoft.AspNetCore.Mvc.Rendering;
+using Microsoft.AspNetCore.Mvc.ViewFeatures;
+using Microsoft.Extensions.DependencyInjection;
+using System;
+using System.Linq.Expressions;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Provides HTML helpers for displaying coordinates selected with the editor.
+/// </summary>
+public static class GoogleMapHtmlHelperExtensions
+{
+    /// <summary>
+    /// Displays a map for a property, either as an interactive map or as an image.
+    /// </summary>
+    /// <param name="html"></param>
+    /// <param name="expression">The property, a string in the "lat,lng" format or <see cref="GoogleMapsCoordinates"/>.</param>
+    /// <param name="settings">Map settings, or null for an interactive map with the default settings.</param>
+    /// <returns>The map, or empty content if the property has no coordinates.</returns>
+    /// <example><c>@Html.GoogleMap(x => x.CurrentContent.Office, new GoogleMapSettings { Static = true })</c></example>
+    public static IHtmlContent GoogleMap<TModel, TResult>(this IHtmlHelper<TModel> html, Expression<Func<TModel, TResult>> expression, GoogleMapSettings? settings = null)
+    {
+        var services = html.ViewContext.HttpContext.RequestServices;
+        var value = services.GetRequiredService<ModelExpressionProvider>().CreateModelExpression(html.ViewData, expression).Model;
+
+        return services.GetRequiredService<GoogleMapRenderer>().Render(html.ViewContext.HttpContext, value, settings);
+    }
+}
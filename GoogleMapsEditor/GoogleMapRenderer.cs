@@ -0,0 +1,200 @@
+﻿using Microsoft.AspNetCore.Html;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System;
+using System.Globalization;
+using System.IO;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Renders maps for coordinates selected with the editor, used by the <see cref="GoogleMapTagHelper"/> and <see cref="GoogleMapHtmlHelperExtensions.GoogleMap"/>.
+/// </summary>
+/// <remarks>
+/// Values are strings in the "lat,lng" format or <see cref="GoogleMapsCoordinates"/>, and nothing is rendered for empty values.
+/// Maps are always displayed using Google Maps, so an API key is required even if the editor uses <see cref="MapProvider.Leaflet"/>.
+/// Without one, a warning is logged and nothing is rendered.
+/// </remarks>
+public class GoogleMapRenderer
+{
+    private const string StaticMapUrl = "https://maps.googleapis.com/maps/api/staticmap";
+
+    private const int MaxStaticMapSize = 640;
+
+    /// <summary>
+    /// Key of the request item set when the map script has been rendered, so it's only rendered once per page.
+    /// </summary>
+    private const string ScriptRenderedKey = "GoogleMapsEditor:MapScriptRendered";
+
+    private static readonly Lazy<string> Script = new(CreateScript);
+
+    private readonly GoogleMapsEditorOptions _options;
+    private readonly ILogger<GoogleMapRenderer> _logger;
+
+    public GoogleMapRenderer(IOptions<GoogleMapsEditorOptions> options, ILogger<GoogleMapRenderer> logger)
+    {
+        _options = options.Value;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Renders a map for a property value.
+    /// </summary>
+    /// <param name="httpContext">Current request, used to render the map script once per page.</param>
+    /// <param name="value">A string in the "lat,lng" format, or <see cref="GoogleMapsCoordinates"/>.</param>
+    /// <param name="settings">Map settings, or null for an interactive map with the default settings.</param>
+    /// <returns>The map, or empty content if the value has no coordinates or no Google Maps API key has been configured.</returns>
+    public virtual IHtmlContent Render(HttpContext httpContext, object? value, GoogleMapSettings? settings = null)
+    {
+        settings ??= new GoogleMapSettings();
+
+        if (!TryGetLocation(value, out var latitude, out var longitude))
+        {
+            return HtmlString.Empty;
+        }
+
+        if (string.IsNullOrWhiteSpace(_options.ApiKey))
+        {
+            _logger.LogWarning("Maps can't be displayed without a Google Maps API key, see {Setting}", $"{GoogleMapsEditorOptions.SectionName}:{nameof(GoogleMapsEditorOptions.ApiKey)}");
+
+            return HtmlString.Empty;
+        }
+
+        var mapView = value as GoogleMapsMapView;
+        var zoom = mapView?.Zoom ?? settings.Zoom ?? _options.DefaultZoom;
+        var centerLatitude = mapView?.CenterLatitude ?? latitude;
+        var centerLongitude = mapView?.CenterLongitude ?? longitude;
+        var title = settings.Title ?? (value as GoogleMapsPlace) switch
+        {
+            { DisplayName: { Length: > 0 } displayName } => displayName,
+            { FormattedAddress: { Length: > 0 } formattedAddress } => formattedAddress,
+            _ => null
+        };
+
+        return settings.Static
+            ? RenderStaticMap(settings, latitude, longitude, centerLatitude, centerLongitude, zoom, title)
+            : RenderInteractiveMap(httpContext, settings, latitude, longitude, centerLatitude, centerLongitude, zoom, title);
+    }
+
+    /// <summary>
+    /// Renders an image of the map using the Maps Static API.
+    /// </summary>
+    private IHtmlContent RenderStaticMap(GoogleMapSettings settings, double latitude, double longitude, double centerLatitude, double centerLongitude, int zoom, string? title)
+    {
+        var width = settings.Width ?? 600;
+        var height = settings.Height;
+
+        // Larger images aren't available, so the size is scaled down to fit, keeping the aspect ratio
+        var scale = Math.Min(1.0, (double)MaxStaticMapSize / Math.Max(width, height));
+        width = (int)Math.Round(width * scale);
+        height = (int)Math.Round(height * scale);
+
+        var url = string.Create(CultureInfo.InvariantCulture,
+            $"{StaticMapUrl}?center={centerLatitude},{centerLongitude}&zoom={zoom}&size={width}x{height}&scale=2&markers={latitude},{longitude}&key={Uri.EscapeDataString(_options.ApiKey)}");
+
+        if (!string.IsNullOrEmpty(_options.MapId))
+        {
+            url += $"&map_id={Uri.EscapeDataString(_options.MapId)}";
+        }
+
+        var html = new HtmlContentBuilder();
+
+        html.AppendHtml($"<img src=\"{Encode(url)}\" width=\"{width}\" height=\"{height}\" alt=\"{Encode(title ?? string.Empty)}\" loading=\"lazy\"");
+        AppendCssClass(html, "google-map google-map--static", settings.CssClass);
+        html.AppendHtml(" />");
+
+        return html;
+    }
+
+    /// <summary>
+    /// Renders an element displayed as an interactive map by the map script, and the map script unless already rendered.
+    /// </summary>
+    private IHtmlContent RenderInteractiveMap(HttpContext httpContext, GoogleMapSettings settings, double latitude, double longitude, double centerLatitude, double centerLongitude, int zoom, string? title)
+    {
+        var mapSettings = JsonSerializer.Serialize(new
+        {
+            apiKey = _options.ApiKey,
+            mapId = string.IsNullOrEmpty(_options.MapId) ? null : _options.MapId,
+            latitude,
+            longitude,
+            center = centerLatitude == latitude && centerLongitude == longitude ? null : new { lat = centerLatitude, lng = centerLongitude },
+            zoom,
+            title
+        });
+
+        var width = settings.Width is int pixels ? $"{pixels}px" : "100%";
+
+        var html = new HtmlContentBuilder();
+
+        html.AppendHtml($"<div data-google-map=\"{Encode(mapSettings)}\" style=\"width: {width}; height: {settings.Height}px\"");
+        AppendCssClass(html, "google-map", settings.CssClass);
+
+        if (!string.IsNullOrEmpty(title))
+        {
+            html.AppendHtml($" role=\"region\" aria-label=\"{Encode(title)}\"");
+        }
+
+        html.AppendHtml("></div>");
+
+        if (!httpContext.Items.ContainsKey(ScriptRenderedKey))
+        {
+            httpContext.Items[ScriptRenderedKey] = true;
+            html.AppendHtml(string.IsNullOrEmpty(settings.Nonce) ? "<script>" : $"<script nonce=\"{Encode(settings.Nonce)}\">");
+            html.AppendHtml(Script.Value);
+            html.AppendHtml("</script>");
+        }
+
+        return html;
+    }
+
+    /// <summary>
+    /// Gets the coordinates of a property value.
+    /// </summary>
+    /// <param name="value">A string in the "lat,lng" format, or <see cref="GoogleMapsCoordinates"/>.</param>
+    /// <param name="latitude">Latitude, if the value has coordinates.</param>
+    /// <param name="longitude">Longitude, if the value has coordinates.</param>
+    /// <returns>True if the value has valid coordinates, see <see cref="GoogleMapsLocation.TryParse"/>.</returns>
+    internal static bool TryGetLocation(object? value, out double latitude, out double longitude)
+    {
+        GoogleMapsLocation? location = value switch
+        {
+            GoogleMapsCoordinates coordinates => coordinates.GetLocation(),
+            string text when GoogleMapsLocation.TryParse(text, out var parsed) => parsed,
+            _ => null
+        };
+
+        latitude = location?.Latitude ?? 0;
+        longitude = location?.Longitude ?? 0;
+
+        return location.HasValue;
+    }
+
+    private static void AppendCssClass(HtmlContentBuilder html, string cssClass, string? additionalCssClass)
+    {
+        html.AppendHtml($" class=\"{Encode(string.IsNullOrWhiteSpace(additionalCssClass) ? cssClass : $"{cssClass} {additionalCssClass}")}\"");
+    }
+
+    private static string Encode(string value) => HtmlEncoder.Default.Encode(value);
+
+    /// <summary>
+    /// Creates the map script, which includes the loader shared with the editor, as the add-on module folder is only available to editors.
+    /// </summary>
+    private static string CreateScript()
+    {
+        // The loader is an AMD module, so it's given a define() function exposing it to the map script
+        return $"(function (define) {{ {ReadScript("GoogleMapsLoader.js")} }})(function (dependencies, factory) {{ window.googleMapsEditorLoader = factory(); }});\n" +
+               ReadScript("GoogleMap.js");
+    }
+
+    private static string ReadScript(string name)
+    {
+        using var stream = typeof(GoogleMapRenderer).Assembly.GetManifestResourceStream($"GoogleMapsEditor.{name}")
+                           ?? throw new InvalidOperationException($"Embedded script {name} not found.");
+        using var reader = new StreamReader(stream);
+
+        return reader.ReadToEnd();
+    }
+}
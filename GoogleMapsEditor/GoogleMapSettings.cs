@@ -0,0 +1,48 @@
+﻿namespace GoogleMapsEditor;
+
+/// <summary>
+/// Settings for a map displayed on the website by the <see cref="GoogleMapTagHelper"/> or <see cref="GoogleMapHtmlHelperExtensions.GoogleMap"/>.
+/// </summary>
+public class GoogleMapSettings
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether the map is displayed as an image using the Maps Static API, rather than as an interactive map.
+    /// </summary>
+    public bool Static { get; set; }
+
+    /// <summary>
+    /// Gets or sets the width in pixels, or null to use the full width for interactive maps, and 600 pixels for static maps.
+    /// </summary>
+    /// <remarks>
+    /// Static map images are at most 640 by 640 pixels, and larger sizes are scaled down to fit, keeping the aspect ratio.
+    /// They're requested in double resolution for high-density displays.
+    /// </remarks>
+    public int? Width { get; set; }
+
+    /// <summary>
+    /// Gets or sets the height in pixels.
+    /// </summary>
+    /// <remarks>Static map images are at most 640 pixels high, see <see cref="Width"/>.</remarks>
+    public int Height { get; set; } = 300;
+
+    /// <summary>
+    /// Gets or sets the zoom level from 1 (least) to 20 (most), used if the value has no saved zoom level, or null to use the global setting.
+    /// </summary>
+    public int? Zoom { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of the marker and the alternative text of static map images, or null to use the name or address of a <see cref="GoogleMapsPlace"/>.
+    /// </summary>
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Gets or sets CSS classes added to the map element.
+    /// </summary>
+    public string? CssClass { get; set; }
+
+    /// <summary>
+    /// Gets or sets the nonce added to the map script, for sites with a Content-Security-Policy which doesn't allow inline scripts.
+    /// </summary>
+    /// <remarks>The script is rendered with the first interactive map on the page, so set the nonce for all maps.</remarks>
+    public string? Nonce { get; set; }
+}
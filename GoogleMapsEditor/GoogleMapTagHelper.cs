@@ -0,0 +1,102 @@
+﻿using Microsoft.AspNetCore.Mvc.Rendering;
+using Microsoft.AspNetCore.Mvc.ViewFeatures;
+using Microsoft.AspNetCore.Razor.TagHelpers;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Displays a map for coordinates selected with the editor, either as an interactive map or as an image.
+/// </summary>
+/// <remarks>Add <c>@addTagHelper *, GoogleMapsEditor</c> to <c>_ViewImports.cshtml</c> to use the tag helper. Nothing is rendered for empty values.</remarks>
+/// <example>
+/// <code>
+/// &lt;google-map for="CurrentContent.Office" height="400" /&gt;
+/// &lt;google-map value="@Model.CurrentContent.StringCoordinates" static="true" zoom="14" /&gt;
+/// </code>
+/// </example>
+[HtmlTargetElement("google-map", TagStructure = TagStructure.WithoutEndTag)]
+public class GoogleMapTagHelper : TagHelper
+{
+    private readonly GoogleMapRenderer _renderer;
+
+    public GoogleMapTagHelper(GoogleMapRenderer renderer)
+    {
+        _renderer = renderer;
+    }
+
+    /// <summary>
+    /// Gets or sets the property to display, a string in the "lat,lng" format or <see cref="GoogleMapsCoordinates"/>.
+    /// </summary>
+    [HtmlAttributeName("for")]
+    public ModelExpression? For { get; set; }
+
+    /// <summary>
+    /// Gets or sets the value to display, a string in the "lat,lng" format or <see cref="GoogleMapsCoordinates"/>, used if <see cref="For"/> isn't set.
+    /// </summary>
+    [HtmlAttributeName("value")]
+    public object? Value { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the map is displayed as an image using the Maps Static API.
+    /// </summary>
+    [HtmlAttributeName("static")]
+    public bool Static { get; set; }
+
+    /// <summary>
+    /// Gets or sets the width in pixels, or null to use the full width for interactive maps.
+    /// </summary>
+    /// <remarks>Static map images are at most 640 by 640 pixels, and larger sizes are scaled down to fit.</remarks>
+    [HtmlAttributeName("width")]
+    public int? Width { get; set; }
+
+    /// <summary>
+    /// Gets or sets the height in pixels.
+    /// </summary>
+    [HtmlAttributeName("height")]
+    public int Height { get; set; } = 300;
+
+    /// <summary>
+    /// Gets or sets the zoom level, used if the value has no saved zoom level.
+    /// </summary>
+    [HtmlAttributeName("zoom")]
+    public int? Zoom { get; set; }
+
+    /// <summary>
+    /// Gets or sets the title of the marker and the alternative text of static map images.
+    /// </summary>
+    [HtmlAttributeName("title")]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Gets or sets CSS classes added to the map element.
+    /// </summary>
+    [HtmlAttributeName("class")]
+    public string? CssClass { get; set; }
+
+    /// <summary>
+    /// Gets or sets the nonce added to the map script, for sites with a Content-Security-Policy which doesn't allow inline scripts.
+    /// </summary>
+    [HtmlAttributeName("nonce")]
+    public string? Nonce { get; set; }
+
+    [ViewContext]
+    [HtmlAttributeNotBound]
+    public ViewContext ViewContext { get; set; } = default!;
+
+    public override void Process(TagHelperContext context, TagHelperOutput output)
+    {
+        var map = _renderer.Render(ViewContext.HttpContext, For is not null ? For.Model : Value, new GoogleMapSettings
+        {
+            Static = Static,
+            Width = Width,
+            Height = Height,
+            Zoom = Zoom,
+            Title = Title,
+            CssClass = CssClass,
+            Nonce = Nonce
+        });
+
+        output.TagName = null;
+        output.Content.SetHtmlContent(map);
+    }
+}
@@ -0,0 +1,22 @@
+﻿using EPiServer.DataAnnotations;
+using System.ComponentModel.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents a circle, i.e. center coordinates and a radius, used for local block properties.
+/// </summary>
+/// <remarks>Useful for search areas, such as "within 10 km of this office".</remarks>
+[ContentType(
+    GUID = "a4e7b2c9-5d16-4f83-b0a2-6c9e1d7f3b58",
+    DisplayName = "Google Maps circle",
+    Description = "Used for local blocks to store center coordinates and a radius.",
+    AvailableInEditMode = false)]
+public class GoogleMapsCircle : GoogleMapsCoordinates
+{
+    /// <summary>
+    /// Gets or sets the radius in meters.
+    /// </summary>
+    [Display(Order = 3)]
+    public virtual double? Radius { get; set; }
+}
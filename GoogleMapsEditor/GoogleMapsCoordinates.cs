@@ -5,9 +5,14 @@ using System.ComponentModel.DataAnnotations;
 namespace GoogleMapsEditor;
 
 /// <summary>
-/// Represents latitude and longitude coordinates, used for local block properties.
+/// Represents latitude and longitude coordinates, used for local block properties and properties of <c>PropertyList&lt;T&gt;</c> items.
 /// </summary>
-/// <remarks>Coordinates are currently not culture-specific.</remarks>
+/// <remarks>
+/// The location is culture-specific only if the block property is marked <c>[CultureSpecific]</c>, so a different location can be selected
+/// for each language. Otherwise it's shared by all languages. None of the properties of the block types are marked <c>[CultureSpecific]</c>,
+/// as that would make them culture-specific for block properties shared by all languages too.
+/// In list items, mark the property with <c>[JsonConverter(typeof(GoogleMapsCoordinatesJsonConverter))]</c> to store values as JSON.
+/// </remarks>
 [ContentType(
     GUID = "8b6cd1b0-6001-4d6b-96d1-1515352f3681",
     DisplayName = "Google Maps coordinates",
@@ -20,4 +25,32 @@ public class GoogleMapsCoordinates : BlockData
 
     [Display(Order = 2)]
     public virtual double? Longitude { get; set; }
+
+    /// <summary>
+    /// Gets the selected location.
+    /// </summary>
+    /// <returns>The location, or null if no location is selected or the coordinates are out of range.</returns>
+    public GoogleMapsLocation? GetLocation()
+    {
+        return GoogleMapsLocation.Create(Latitude, Longitude);
+    }
+
+    /// <summary>
+    /// Sets the selected location, for example when migrating from a <c>string</c> property.
+    /// </summary>
+    /// <param name="location">The location, or null to clear it.</param>
+    public void SetLocation(GoogleMapsLocation? location)
+    {
+        Latitude = location?.Latitude;
+        Longitude = location?.Longitude;
+    }
+
+    /// <summary>
+    /// Converts the selected location to the <c>latitude,longitude</c> format stored in <c>string</c> properties.
+    /// </summary>
+    /// <returns>The location, or null if no valid location is selected.</returns>
+    public static implicit operator string?(GoogleMapsCoordinates? coordinates)
+    {
+        return coordinates?.GetLocation()?.ToString();
+    }
 }
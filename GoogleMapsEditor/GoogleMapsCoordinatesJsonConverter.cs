@@ -0,0 +1,104 @@
+﻿using Newtonsoft.Json;
+using Newtonsoft.Json.Linq;
+using Newtonsoft.Json.Serialization;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Reflection;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Serializes <see cref="GoogleMapsCoordinates"/> and derived types as JSON objects with only their own properties,
+/// such as <c>{ "latitude": 59.335644, "longitude": 18.030142 }</c>, used for properties of <c>PropertyList&lt;T&gt;</c> items.
+/// </summary>
+/// <remarks>
+/// Without this, the properties inherited from <c>BlockData</c> would also be serialized. Strings in the "lat,lng" format
+/// are also accepted when reading, so list item properties can be changed from <c>string</c> to <see cref="GoogleMapsCoordinates"/>.
+/// The converter is applied to list item properties with <c>[JsonConverter(typeof(GoogleMapsCoordinatesJsonConverter))]</c>
+/// rather than to <see cref="GoogleMapsCoordinates"/> itself, so other serialization of local blocks is left unchanged.
+/// </remarks>
+public class GoogleMapsCoordinatesJsonConverter : JsonConverter
+{
+    public override bool CanConvert(Type objectType)
+    {
+        return typeof(GoogleMapsCoordinates).IsAssignableFrom(objectType);
+    }
+
+    public override void WriteJson(JsonWriter writer, object? value, JsonSerializer serializer)
+    {
+        if (value is null)
+        {
+            writer.WriteNull();
+            return;
+        }
+
+        writer.WriteStartObject();
+
+        foreach (var property in GetProperties(value.GetType()))
+        {
+            writer.WritePropertyName(GetPropertyName(property, serializer.ContractResolver));
+            serializer.Serialize(writer, property.GetValue(value));
+        }
+
+        writer.WriteEndObject();
+    }
+
+    public override object? ReadJson(JsonReader reader, Type objectType, object? existingValue, JsonSerializer serializer)
+    {
+        var token = JToken.Load(reader);
+
+        if (token.Type == JTokenType.Null)
+        {
+            return null;
+        }
+
+        var coordinates = (GoogleMapsCoordinates)Activator.CreateInstance(objectType)!;
+
+        if (token.Type == JTokenType.String)
+        {
+            coordinates.SetLocation(GoogleMapsLocation.TryParse(token.Value<string>(), out var location) ? location : null);
+
+            return coordinates;
+        }
+
+        if (token is not JObject json)
+        {
+            throw new JsonSerializationException($"Unexpected {token.Type} when reading {objectType.Name}, expected an object.");
+        }
+
+        foreach (var property in GetProperties(objectType))
+        {
+            if (json.GetValue(GetPropertyName(property, serializer.ContractResolver), StringComparison.OrdinalIgnoreCase) is { } propertyValue)
+            {
+                property.SetValue(coordinates, propertyValue.ToObject(property.PropertyType, serializer));
+            }
+        }
+
+        return coordinates;
+    }
+
+    /// <summary>
+    /// Gets the properties of a <see cref="GoogleMapsCoordinates"/> type which are stored, i.e. not those inherited from <c>BlockData</c>.
+    /// </summary>
+    internal static IEnumerable<PropertyInfo> GetProperties(Type type)
+    {
+        return type.GetProperties(BindingFlags.Public | BindingFlags.Instance)
+                   .Where(x => x.CanRead && x.CanWrite && x.GetIndexParameters().Length == 0 && typeof(GoogleMapsCoordinates).IsAssignableFrom(x.DeclaringType));
+    }
+
+    /// <summary>
+    /// Gets the names of the stored properties of a <see cref="GoogleMapsCoordinates"/> type, as written by the converter.
+    /// </summary>
+    /// <param name="type">The <see cref="GoogleMapsCoordinates"/> type.</param>
+    /// <param name="contractResolver">Contract resolver of the serializer, which determines the naming of the properties.</param>
+    internal static string[] GetPropertyNames(Type type, IContractResolver? contractResolver)
+    {
+        return GetProperties(type).Select(x => GetPropertyName(x, contractResolver)).ToArray();
+    }
+
+    private static string GetPropertyName(PropertyInfo property, IContractResolver? contractResolver)
+    {
+        return contractResolver is DefaultContractResolver resolver ? resolver.GetResolvedPropertyName(property.Name) : property.Name;
+    }
+}
@@ -0,0 +1,83 @@
+﻿using System;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Overrides the global Google Maps editor settings for a specific property.
+/// </summary>
+/// <remarks>Settings that aren't specified fall back to the global <see cref="GoogleMapsEditorOptions"/>.</remarks>
+/// <example>
+/// <code>
+/// [GoogleMapsEditor(DefaultZoom = 12, DefaultLatitude = 59.3293, DefaultLongitude = 18.0686, Height = 400)]
+/// public virtual GoogleMapsCoordinates StockholmOffice { get; set; }
+///
+/// [GoogleMapsEditor(AllowedCountries = new[] { "SE", "NO" }, Bounds = new[] { 55.0, 4.0, 71.5, 24.5 })]
+/// public virtual GoogleMapsCoordinates Listing { get; set; }
+/// </code>
+/// </example>
+[AttributeUsage(AttributeTargets.Property, AllowMultiple = false)]
+public class GoogleMapsEditorAttribute : Attribute
+{
+    /// <summary>
+    /// Gets or sets the Map Id to use for this property.
+    /// </summary>
+    public string? MapId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the default zoom level from 1 (least) to 20 (most), or 0 to use the global setting.
+    /// </summary>
+    public int DefaultZoom { get; set; }
+
+    /// <summary>
+    /// Gets or sets the default latitude coordinate when no property value is set.
+    /// </summary>
+    /// <remarks>Must be set together with <see cref="DefaultLongitude"/>.</remarks>
+    public double DefaultLatitude { get; set; } = double.NaN;
+
+    /// <summary>
+    /// Gets or sets the default longitude coordinate when no property value is set.
+    /// </summary>
+    /// <remarks>Must be set together with <see cref="DefaultLatitude"/>.</remarks>
+    public double DefaultLongitude { get; set; } = double.NaN;
+
+    /// <summary>
+    /// Gets or sets the height of the map in pixels, or 0 to use the default height.
+    /// </summary>
+    public int Height { get; set; }
+
+    /// <summary>
+    /// Gets or sets the radius in meters for new circles of <see cref="GoogleMapsCircle"/> properties, or 0 to use the default radius.
+    /// </summary>
+    public int DefaultRadius { get; set; }
+
+    /// <summary>
+    /// Gets or sets the ISO 3166-1 alpha-2 codes of the countries that locations must be in, or null to use the global setting.
+    /// </summary>
+    public string[]? AllowedCountries { get; set; }
+
+    /// <summary>
+    /// Gets or sets a bounding box that locations must be within, as south latitude, west longitude, north latitude, and east longitude, or null to use the global setting.
+    /// </summary>
+    public double[]? Bounds { get; set; }
+
+    /// <summary>
+    /// Gets or sets a GeoJSON polygon that locations must be within, or null to use the global setting.
+    /// </summary>
+    public string? AllowedArea { get; set; }
+
+    /// <summary>
+    /// Gets or sets the place types included in search results, or null to use the global setting.
+    /// </summary>
+    public string[]? IncludedPlaceTypes { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a Street View preview of the selected location is displayed below the map.
+    /// </summary>
+    /// <remarks>Always displayed for <see cref="GoogleMapsStreetView"/> properties, where the point of view is also saved.</remarks>
+    public bool ShowStreetView { get; set; }
+
+    /// <summary>
+    /// Gets a value indicating whether default coordinates have been specified.
+    /// </summary>
+    public bool HasDefaultCoordinates => !double.IsNaN(DefaultLatitude) && !double.IsNaN(DefaultLongitude);
+}
@@ -1,43 +1,308 @@
-﻿using EPiServer.Shell.ObjectEditing;
+﻿using EPiServer;
+using EPiServer.Cms.Shell.Extensions;
+using EPiServer.Core;
+using EPiServer.ServiceLocation;
+using EPiServer.Shell;
+using EPiServer.Shell.ObjectEditing;
 using EPiServer.Shell.ObjectEditing.EditorDescriptors;
+using Microsoft.Extensions.Options;
+using Newtonsoft.Json.Serialization;
 using System;
 using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+using System.Linq;
 
 namespace GoogleMapsEditor;
 
 [EditorDescriptorRegistration(TargetType = typeof(string), UIHint = UIHint, EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(string), UIHint = PolygonUIHint, EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(string), UIHint = PolylineUIHint, EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
 [EditorDescriptorRegistration(TargetType = typeof(GoogleMapsCoordinates), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(GoogleMapsPlace), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(GoogleMapsCircle), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(GoogleMapsStreetView), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(GoogleMapsMapView), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(IList<GoogleMapsMarker>), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(GoogleMapsPolygon), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
+[EditorDescriptorRegistration(TargetType = typeof(GoogleMapsPolyline), EditorDescriptorBehavior = EditorDescriptorBehavior.Default)]
 public class GoogleMapsEditorDescriptor : EditorDescriptor
 {
     public const string UIHint = "GoogleMaps";
 
-    public virtual string ApiKey { get; set; } = ServiceCollectionExtensions.ApiKey;
+    /// <summary>
+    /// UI hint for string properties storing an area as a GeoJSON polygon.
+    /// </summary>
+    public const string PolygonUIHint = "GoogleMapsPolygon";
 
-    public virtual string MapId { get; set; } = ServiceCollectionExtensions.MapId;
+    /// <summary>
+    /// UI hint for string properties storing a route as a GeoJSON line string.
+    /// </summary>
+    public const string PolylineUIHint = "GoogleMapsPolyline";
 
-    public virtual int DefaultZoom { get; set; } = ServiceCollectionExtensions.DefaultZoom;
+    private static readonly IContractResolver ValuePropertiesContractResolver = new CamelCasePropertyNamesContractResolver();
 
-    public virtual double DefaultLatitude { get; set; } = ServiceCollectionExtensions.DefaultLatitude;
+    private readonly IContentLoader _contentLoader;
 
-    public virtual double DefaultLongitude { get; set; } = ServiceCollectionExtensions.DefaultLongitude;
+    public GoogleMapsEditorDescriptor() : this(ServiceLocator.Current.GetInstance<IOptions<GoogleMapsEditorOptions>>())
+    {
+    }
+
+    public GoogleMapsEditorDescriptor(IOptions<GoogleMapsEditorOptions> options) : this(options, ServiceLocator.Current.GetInstance<IContentLoader>())
+    {
+    }
+
+    public GoogleMapsEditorDescriptor(IOptions<GoogleMapsEditorOptions> options, IContentLoader contentLoader)
+    {
+        _contentLoader = contentLoader;
+
+        var settings = options.Value;
+
+        MapProvider = settings.MapProvider;
+        Leaflet = settings.Leaflet;
+        Controls = settings.Controls;
+        ApiKey = settings.ApiKey;
+        MapId = settings.MapId;
+        DefaultZoom = settings.DefaultZoom;
+        DefaultLatitude = settings.DefaultLatitude;
+        DefaultLongitude = settings.DefaultLongitude;
+        AllowedCountries = settings.AllowedCountries;
+        Bounds = settings.Bounds;
+        AllowedArea = settings.AllowedArea;
+        IncludedPlaceTypes = settings.IncludedPlaceTypes;
+        UseProxy = settings.Proxy.Enabled;
+    }
+
+    public virtual MapProvider MapProvider { get; set; }
+
+    public virtual LeafletOptions Leaflet { get; set; }
+
+    public virtual MapControlsOptions Controls { get; set; }
+
+    public virtual string ApiKey { get; set; }
+
+    public virtual string MapId { get; set; }
+
+    public virtual int DefaultZoom { get; set; }
+
+    public virtual double DefaultLatitude { get; set; }
+
+    public virtual double DefaultLongitude { get; set; }
+
+    public virtual string[] AllowedCountries { get; set; }
+
+    public virtual double[]? Bounds { get; set; }
+
+    public virtual string? AllowedArea { get; set; }
+
+    public virtual string[] IncludedPlaceTypes { get; set; }
+
+    public virtual bool UseProxy { get; set; }
 
     public override void ModifyMetadata(ExtendedMetadata metadata, IEnumerable<Attribute> attributes)
     {
         ClientEditingClass = "googlemapseditor/Editor";
 
+        // Property-specific settings, if any, override the global settings
+        var settings = attributes.OfType<GoogleMapsEditorAttribute>().FirstOrDefault();
+
+        if (settings != null)
+        {
+            var errors = GoogleMapsEditorOptionsValidator.Validate(settings, $"{metadata.ContainerType?.Name}.{metadata.PropertyName}");
+
+            if (errors.Count > 0)
+            {
+                throw new InvalidOperationException(string.Join(" ", errors));
+            }
+        }
+
+        // Map provider, with settings for Leaflet if used instead of Google Maps
+        metadata.EditorConfiguration.Add("mapProvider", MapProvider == MapProvider.Leaflet ? "leaflet" : "google");
+
+        if (MapProvider == MapProvider.Leaflet)
+        {
+            metadata.EditorConfiguration.Add("leaflet", new
+            {
+                scriptUrl = Leaflet.ScriptUrl,
+                styleUrl = Leaflet.StyleUrl,
+                tileUrl = Leaflet.TileUrl,
+                attribution = Leaflet.Attribution,
+                geocodingUrl = Leaflet.GeocodingUrl
+            });
+        }
+
+        // Controls displayed on the map, and whether the editor can be expanded into a large dialog
+        metadata.EditorConfiguration.Add("controls", new
+        {
+            mapType = Controls.MapType,
+            zoom = Controls.Zoom,
+            streetView = Controls.StreetView,
+            expand = Controls.Expand
+        });
+
         // API key for the Google Maps JavaScript API
         metadata.EditorConfiguration.Add("apiKey", ApiKey);
 
+        // Proxy endpoint for search and address lookups, which are otherwise made from the browser
+        if (UseProxy && MapProvider == MapProvider.Google)
+        {
+            metadata.EditorConfiguration.Add("proxyUrl", Paths.ToResource(typeof(GoogleMapsEditorDescriptor), "GoogleMapsProxy"));
+        }
+
         // Map Id for the Google Maps JavaScript API
-        metadata.EditorConfiguration.Add("mapId", MapId);
+        metadata.EditorConfiguration.Add("mapId", settings?.MapId is string mapId && !string.IsNullOrWhiteSpace(mapId) ? mapId : MapId);
 
         // Default zoom level from 1 (least) to 20 (most)
         // https://developers.google.com/maps/documentation/javascript/tutorial#zoom-levels
-        metadata.EditorConfiguration.Add("defaultZoom", DefaultZoom);
+        metadata.EditorConfiguration.Add("defaultZoom", settings is { DefaultZoom: > 0 } ? settings.DefaultZoom : DefaultZoom);
 
         // Default coordinates when no property value is set
-        metadata.EditorConfiguration.Add("defaultCoordinates", new { latitude = DefaultLatitude, longitude = DefaultLongitude });
+        metadata.EditorConfiguration.Add("defaultCoordinates", settings is { HasDefaultCoordinates: true }
+            ? new { latitude = settings.DefaultLatitude, longitude = settings.DefaultLongitude }
+            : new { latitude = DefaultLatitude, longitude = DefaultLongitude });
+
+        // Map height in pixels
+        if (settings is { Height: > 0 })
+        {
+            metadata.EditorConfiguration.Add("height", settings.Height);
+        }
+
+        // Restrictions for search and pin placement
+        var restrictions = GetRestrictions(settings);
+
+        if (restrictions.Count > 0)
+        {
+            metadata.EditorConfiguration.Add("restrictions", restrictions);
+        }
+
+        // Multiple markers for lists of locations, optionally limited using [MinLength] and [MaxLength] attributes
+        if (typeof(IEnumerable<GoogleMapsMarker>).IsAssignableFrom(metadata.ModelType))
+        {
+            metadata.EditorConfiguration.Add("allowMultiple", true);
+
+            if (attributes.OfType<MinLengthAttribute>().FirstOrDefault() is MinLengthAttribute minLength)
+            {
+                metadata.EditorConfiguration.Add("minMarkers", minLength.Length);
+            }
+
+            if (attributes.OfType<MaxLengthAttribute>().FirstOrDefault() is MaxLengthAttribute maxLength)
+            {
+                metadata.EditorConfiguration.Add("maxMarkers", maxLength.Length);
+            }
+        }
+
+        // Circle mode for center coordinates and a radius
+        if (typeof(GoogleMapsCircle).IsAssignableFrom(metadata.ModelType))
+        {
+            metadata.EditorConfiguration.Add("circleMode", true);
+
+            if (settings is { DefaultRadius: > 0 })
+            {
+                metadata.EditorConfiguration.Add("defaultRadius", settings.DefaultRadius);
+            }
+        }
+
+        // Street View preview of the selected location, where the point of view is saved for GoogleMapsStreetView properties
+        if (typeof(GoogleMapsStreetView).IsAssignableFrom(metadata.ModelType) || settings is { ShowStreetView: true })
+        {
+            metadata.EditorConfiguration.Add("streetViewPreview", true);
+        }
+
+        // Properties of the value, since list item properties have no metadata for the properties of GoogleMapsCoordinates,
+        // named the same way as by the converter with the camel case contract resolver of the CMS UI
+        if (typeof(GoogleMapsCoordinates).IsAssignableFrom(metadata.ModelType))
+        {
+            metadata.EditorConfiguration.Add("valueProperties", GoogleMapsCoordinatesJsonConverter.GetPropertyNames(metadata.ModelType, ValuePropertiesContractResolver));
+        }
+
+        // Zoom level and map center saved with the location for GoogleMapsMapView properties
+        if (typeof(GoogleMapsMapView).IsAssignableFrom(metadata.ModelType))
+        {
+            metadata.EditorConfiguration.Add("saveMapView", true);
+        }
+
+        // Drawing mode for areas (polygons) and routes (polylines), stored as GeoJSON
+        var uiHints = attributes.OfType<UIHintAttribute>().Select(x => x.UIHint).ToList();
+
+        if (typeof(GoogleMapsPolygon).IsAssignableFrom(metadata.ModelType) || uiHints.Contains(PolygonUIHint))
+        {
+            metadata.EditorConfiguration.Add("drawingMode", "polygon");
+        }
+        else if (typeof(GoogleMapsPolyline).IsAssignableFrom(metadata.ModelType) || uiHints.Contains(PolylineUIHint))
+        {
+            metadata.EditorConfiguration.Add("drawingMode", "polyline");
+        }
+
+        // Language of the content, used for addresses, and the location in the master language for culture-specific properties
+        if (metadata.FindOwnerContent() is ILocalizable { Language: not null } localizable)
+        {
+            metadata.EditorConfiguration.Add("contentLanguage", localizable.Language.Name);
+        }
+
+        if (GetMasterLanguage(metadata) is object masterLanguage)
+        {
+            metadata.EditorConfiguration.Add("masterLanguage", masterLanguage);
+        }
 
         base.ModifyMetadata(metadata, attributes);
     }
+
+    /// <summary>
+    /// Gets the location in the master language, displayed by the editor if a culture-specific property has no location in another language.
+    /// </summary>
+    /// <param name="metadata">Metadata of the property being edited.</param>
+    /// <returns>The master language code and the location, or null if the property isn't culture-specific, is edited in the master language, or has no location in the master language.</returns>
+    protected virtual object? GetMasterLanguage(ExtendedMetadata metadata)
+    {
+        if (metadata.FindOwnerContent() is not { } content ||
+            content is not ILocalizable { Language: { } language, MasterLanguage: { } masterLanguage } ||
+            language.Equals(masterLanguage) ||
+            content.Property[metadata.PropertyName] is not { IsLanguageSpecific: true })
+        {
+            return null;
+        }
+
+        if (!_contentLoader.TryGet<IContent>(content.ContentLink.ToReferenceWithoutVersion(), masterLanguage, out var masterContent) ||
+            !GoogleMapRenderer.TryGetLocation(masterContent.Property[metadata.PropertyName]?.Value, out var latitude, out var longitude))
+        {
+            return null;
+        }
+
+        return new
+        {
+            language = masterLanguage.Name,
+            location = new { latitude, longitude }
+        };
+    }
+
+    /// <summary>
+    /// Gets the countries, bounding box, area, and place types that search and pin placement are restricted to.
+    /// </summary>
+    /// <param name="settings">Property-specific settings, if any, which override the global settings.</param>
+    /// <returns>Restrictions keyed by their name in the editor configuration, empty if there are no restrictions.</returns>
+    protected virtual IDictionary<string, object> GetRestrictions(GoogleMapsEditorAttribute? settings)
+    {
+        var restrictions = new Dictionary<string, object>();
+
+        if ((settings?.AllowedCountries ?? AllowedCountries) is { Length: > 0 } countries)
+        {
+            restrictions.Add("countries", countries.Select(x => x.ToUpperInvariant()).ToArray());
+        }
+
+        if ((settings?.Bounds ?? Bounds) is { Length: 4 } bounds)
+        {
+            restrictions.Add("bounds", new { south = bounds[0], west = bounds[1], north = bounds[2], east = bounds[3] });
+        }
+
+        if ((settings?.AllowedArea ?? AllowedArea) is string area && !string.IsNullOrWhiteSpace(area))
+        {
+            restrictions.Add("area", area);
+        }
+
+        if ((settings?.IncludedPlaceTypes ?? IncludedPlaceTypes) is { Length: > 0 } placeTypes)
+        {
+            restrictions.Add("placeTypes", placeTypes);
+        }
+
+        return restrictions;
+    }
 }
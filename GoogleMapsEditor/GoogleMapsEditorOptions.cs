@@ -0,0 +1,101 @@
+﻿using System;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Settings for the Google Maps editor, bound from the <c>GoogleMapsEditor</c> configuration section.
+/// </summary>
+/// <example>
+/// <code>
+/// "GoogleMapsEditor": {
+///   "ApiKey": "...",
+///   "MapId": "...",
+///   "DefaultZoom": 5,
+///   "DefaultLatitude": 59.33564361359625,
+///   "DefaultLongitude": 18.03014159202576,
+///   "AllowedCountries": [ "SE", "NO", "DK", "FI" ]
+/// }
+/// </code>
+/// </example>
+public class GoogleMapsEditorOptions
+{
+    /// <summary>
+    /// Name of the configuration section the options are bound from.
+    /// </summary>
+    public const string SectionName = "GoogleMapsEditor";
+
+    /// <summary>
+    /// Gets or sets the map provider, i.e. <see cref="MapProvider.Google"/> (default) or <see cref="MapProvider.Leaflet"/>.
+    /// </summary>
+    public MapProvider MapProvider { get; set; } = MapProvider.Google;
+
+    /// <summary>
+    /// Gets or sets the settings for the Leaflet map provider, used if <see cref="MapProvider"/> is <see cref="MapProvider.Leaflet"/>.
+    /// </summary>
+    public LeafletOptions Leaflet { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the controls displayed on the map, such as zoom buttons and the map type switcher.
+    /// </summary>
+    public MapControlsOptions Controls { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the API key to use for Google Maps.
+    /// </summary>
+    /// <remarks>Required if <see cref="MapProvider"/> is <see cref="MapProvider.Google"/>.</remarks>
+    public string ApiKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the Map Id to use for Google Maps.
+    /// </summary>
+    /// <remarks>Required if <see cref="MapProvider"/> is <see cref="MapProvider.Google"/>.</remarks>
+    public string MapId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the default zoom level from 1 (least) to 20 (most).
+    /// </summary>
+    public int DefaultZoom { get; set; } = 5;
+
+    /// <summary>
+    /// Gets or sets the default latitude coordinate when no property value is set.
+    /// </summary>
+    public double DefaultLatitude { get; set; } = 59.33564361359625;
+
+    /// <summary>
+    /// Gets or sets the default longitude coordinate when no property value is set.
+    /// </summary>
+    public double DefaultLongitude { get; set; } = 18.03014159202576;
+
+    /// <summary>
+    /// Gets or sets the ISO 3166-1 alpha-2 codes of the countries that locations must be in, for example <c>SE</c>, or empty to allow all countries.
+    /// </summary>
+    /// <remarks>Search results are limited to these countries. At most 15 countries are supported.</remarks>
+    public string[] AllowedCountries { get; set; } = Array.Empty<string>();
+
+    /// <summary>
+    /// Gets or sets a bounding box that locations must be within, as south latitude, west longitude, north latitude, and east longitude, or null for no bounding box.
+    /// </summary>
+    public double[]? Bounds { get; set; }
+
+    /// <summary>
+    /// Gets or sets a GeoJSON polygon that locations must be within, or null for no area.
+    /// </summary>
+    /// <example><c>{"type":"Polygon","coordinates":[[[10.5,58.9],[18.4,59.0],[18.1,55.3],[12.8,55.4],[10.5,58.9]]]}</c></example>
+    public string? AllowedArea { get; set; }
+
+    /// <summary>
+    /// Gets or sets the place types included in search results, for example <c>street_address</c>, or empty to include all types.
+    /// </summary>
+    /// <remarks>At most 5 place types are supported. See https://developers.google.com/maps/documentation/places/web-service/place-types</remarks>
+    public string[] IncludedPlaceTypes { get; set; } = Array.Empty<string>();
+
+    /// <summary>
+    /// Gets or sets the settings for making Places autocomplete and geocoding lookups through a server-side proxy endpoint.
+    /// </summary>
+    public GoogleMapsProxyOptions Proxy { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets the migrations from <c>string</c> properties to <see cref="GoogleMapsCoordinates"/> properties run by <see cref="GoogleMapsMigrationJob"/>.
+    /// </summary>
+    public GoogleMapsMigrationOptions[] Migrations { get; set; } = Array.Empty<GoogleMapsMigrationOptions>();
+}
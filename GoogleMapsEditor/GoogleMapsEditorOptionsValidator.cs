@@ -0,0 +1,244 @@
+﻿using Microsoft.Extensions.Options;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Validates <see cref="GoogleMapsEditorOptions"/> when the application starts.
+/// </summary>
+internal class GoogleMapsEditorOptionsValidator : IValidateOptions<GoogleMapsEditorOptions>
+{
+    public ValidateOptionsResult Validate(string? name, GoogleMapsEditorOptions options)
+    {
+        var errors = new List<string>();
+
+        if (options.MapProvider == MapProvider.Google)
+        {
+            if (string.IsNullOrWhiteSpace(options.ApiKey))
+            {
+                errors.Add($"{GoogleMapsEditorOptions.SectionName}:{nameof(options.ApiKey)} is required.");
+            }
+
+            if (string.IsNullOrWhiteSpace(options.MapId))
+            {
+                errors.Add($"{GoogleMapsEditorOptions.SectionName}:{nameof(options.MapId)} is required.");
+            }
+        }
+        else if (options.MapProvider == MapProvider.Leaflet)
+        {
+            var leaflet = $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.Leaflet)}";
+
+            if (string.IsNullOrWhiteSpace(options.Leaflet.ScriptUrl) || string.IsNullOrWhiteSpace(options.Leaflet.StyleUrl))
+            {
+                errors.Add($"{leaflet}:{nameof(LeafletOptions.ScriptUrl)} and {leaflet}:{nameof(LeafletOptions.StyleUrl)} are required.");
+            }
+
+            if (string.IsNullOrWhiteSpace(options.Leaflet.TileUrl))
+            {
+                errors.Add($"{leaflet}:{nameof(LeafletOptions.TileUrl)} is required.");
+            }
+        }
+        else
+        {
+            errors.Add($"{GoogleMapsEditorOptions.SectionName}:{nameof(options.MapProvider)} must be {nameof(MapProvider.Google)} or {nameof(MapProvider.Leaflet)}, but was {options.MapProvider}.");
+        }
+
+        ValidateZoom(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.DefaultZoom)}", options.DefaultZoom);
+        ValidateLatitude(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.DefaultLatitude)}", options.DefaultLatitude);
+        ValidateLongitude(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.DefaultLongitude)}", options.DefaultLongitude);
+        ValidateCountries(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.AllowedCountries)}", options.AllowedCountries);
+
+        if (options.Bounds is { } bounds)
+        {
+            ValidateBounds(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.Bounds)}", bounds);
+        }
+
+        if (!string.IsNullOrWhiteSpace(options.AllowedArea))
+        {
+            ValidateArea(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.AllowedArea)}", options.AllowedArea);
+        }
+
+        ValidatePlaceTypes(errors, $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.IncludedPlaceTypes)}", options.IncludedPlaceTypes);
+
+        if (options.Proxy.Enabled)
+        {
+            var proxy = $"{GoogleMapsEditorOptions.SectionName}:{nameof(options.Proxy)}";
+
+            if (options.MapProvider != MapProvider.Google)
+            {
+                errors.Add($"{proxy}:{nameof(GoogleMapsProxyOptions.Enabled)} requires {GoogleMapsEditorOptions.SectionName}:{nameof(options.MapProvider)} to be {nameof(MapProvider.Google)}.");
+            }
+
+            if (string.IsNullOrWhiteSpace(options.Proxy.ServerApiKey))
+            {
+                errors.Add($"{proxy}:{nameof(GoogleMapsProxyOptions.ServerApiKey)} is required when the proxy is enabled.");
+            }
+
+            if (options.Proxy.CacheDuration < TimeSpan.Zero)
+            {
+                errors.Add($"{proxy}:{nameof(GoogleMapsProxyOptions.CacheDuration)} cannot be negative.");
+            }
+
+            if (options.Proxy.RequestsPerMinute < 0)
+            {
+                errors.Add($"{proxy}:{nameof(GoogleMapsProxyOptions.RequestsPerMinute)} cannot be negative.");
+            }
+        }
+
+        for (var i = 0; i < options.Migrations.Length; i++)
+        {
+            var migration = options.Migrations[i];
+
+            if (string.IsNullOrWhiteSpace(migration.ContentType) || string.IsNullOrWhiteSpace(migration.SourceProperty) || string.IsNullOrWhiteSpace(migration.TargetProperty))
+            {
+                errors.Add($"{GoogleMapsEditorOptions.SectionName}:{nameof(options.Migrations)}:{i} requires {nameof(GoogleMapsMigrationOptions.ContentType)}, {nameof(GoogleMapsMigrationOptions.SourceProperty)}, and {nameof(GoogleMapsMigrationOptions.TargetProperty)}.");
+            }
+        }
+
+        return errors.Count > 0 ? ValidateOptionsResult.Fail(errors) : ValidateOptionsResult.Success;
+    }
+
+    /// <summary>
+    /// Validates property-specific settings with the same rules as the global settings.
+    /// </summary>
+    /// <param name="attribute">The property-specific settings.</param>
+    /// <param name="propertyName">The name of the property, used in error messages.</param>
+    /// <returns>The validation errors, if any.</returns>
+    public static IReadOnlyList<string> Validate(GoogleMapsEditorAttribute attribute, string propertyName)
+    {
+        var errors = new List<string>();
+        var prefix = $"{nameof(GoogleMapsEditorAttribute)} on {propertyName}:";
+
+        // Zero, NaN, and null mean that the global setting is used
+        if (attribute.DefaultZoom != 0)
+        {
+            ValidateZoom(errors, prefix + nameof(attribute.DefaultZoom), attribute.DefaultZoom);
+        }
+
+        if (double.IsNaN(attribute.DefaultLatitude) != double.IsNaN(attribute.DefaultLongitude))
+        {
+            errors.Add($"{prefix}{nameof(attribute.DefaultLatitude)} and {prefix}{nameof(attribute.DefaultLongitude)} must be set together.");
+        }
+        else if (attribute.HasDefaultCoordinates)
+        {
+            ValidateLatitude(errors, prefix + nameof(attribute.DefaultLatitude), attribute.DefaultLatitude);
+            ValidateLongitude(errors, prefix + nameof(attribute.DefaultLongitude), attribute.DefaultLongitude);
+        }
+
+        if (attribute.Height < 0)
+        {
+            errors.Add($"{prefix}{nameof(attribute.Height)} cannot be negative.");
+        }
+
+        if (attribute.DefaultRadius < 0)
+        {
+            errors.Add($"{prefix}{nameof(attribute.DefaultRadius)} cannot be negative.");
+        }
+
+        if (attribute.AllowedCountries is { } countries)
+        {
+            ValidateCountries(errors, prefix + nameof(attribute.AllowedCountries), countries);
+        }
+
+        if (attribute.Bounds is { } bounds)
+        {
+            ValidateBounds(errors, prefix + nameof(attribute.Bounds), bounds);
+        }
+
+        if (!string.IsNullOrWhiteSpace(attribute.AllowedArea))
+        {
+            ValidateArea(errors, prefix + nameof(attribute.AllowedArea), attribute.AllowedArea);
+        }
+
+        if (attribute.IncludedPlaceTypes is { } placeTypes)
+        {
+            ValidatePlaceTypes(errors, prefix + nameof(attribute.IncludedPlaceTypes), placeTypes);
+        }
+
+        return errors;
+    }
+
+    private static void ValidateZoom(List<string> errors, string setting, int zoom)
+    {
+        if (zoom < 1 || zoom > 20)
+        {
+            errors.Add($"{setting} must be between 1 and 20, but was {zoom}.");
+        }
+    }
+
+    private static void ValidateLatitude(List<string> errors, string setting, double latitude)
+    {
+        if (latitude < -90 || latitude > 90)
+        {
+            errors.Add($"{setting} must be between -90 and 90, but was {latitude}.");
+        }
+    }
+
+    private static void ValidateLongitude(List<string> errors, string setting, double longitude)
+    {
+        if (longitude < -180 || longitude > 180)
+        {
+            errors.Add($"{setting} must be between -180 and 180, but was {longitude}.");
+        }
+    }
+
+    private static void ValidateCountries(List<string> errors, string setting, string[] countries)
+    {
+        if (countries.Length > 15)
+        {
+            errors.Add($"{setting} can contain at most 15 countries, but contained {countries.Length}.");
+        }
+
+        foreach (var country in countries.Where(x => x is not { Length: 2 } || !x.All(char.IsLetter)))
+        {
+            errors.Add($"{setting} must contain two-letter country codes, but contained '{country}'.");
+        }
+    }
+
+    private static void ValidateBounds(List<string> errors, string setting, double[] bounds)
+    {
+        if (bounds.Length != 4)
+        {
+            errors.Add($"{setting} must contain south, west, north, and east coordinates, but contained {bounds.Length} values.");
+        }
+        else if (bounds[0] < -90 || bounds[2] > 90 || bounds[0] > bounds[2] || bounds[1] < -180 || bounds[1] > 180 || bounds[3] < -180 || bounds[3] > 180)
+        {
+            errors.Add($"{setting} must contain a south latitude less than the north latitude, and longitudes between -180 and 180.");
+        }
+    }
+
+    private static void ValidateArea(List<string> errors, string setting, string area)
+    {
+        if (!IsGeoJsonPolygon(area))
+        {
+            errors.Add($"{setting} must be a GeoJSON polygon.");
+        }
+    }
+
+    private static void ValidatePlaceTypes(List<string> errors, string setting, string[] placeTypes)
+    {
+        if (placeTypes.Length > 5)
+        {
+            errors.Add($"{setting} can contain at most 5 place types, but contained {placeTypes.Length}.");
+        }
+    }
+
+    private static bool IsGeoJsonPolygon(string geoJson)
+    {
+        try
+        {
+            using var document = JsonDocument.Parse(geoJson);
+
+            return document.RootElement.ValueKind == JsonValueKind.Object &&
+                   document.RootElement.TryGetProperty("type", out var type) && type.ValueEquals("Polygon") &&
+                   document.RootElement.TryGetProperty("coordinates", out var coordinates) && coordinates.ValueKind == JsonValueKind.Array;
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+    }
+}
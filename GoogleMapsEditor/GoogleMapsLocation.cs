@@ -0,0 +1,177 @@
+﻿using System;
+using System.Diagnostics.CodeAnalysis;
+using System.Globalization;
+using System.Text.RegularExpressions;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents a location as latitude and longitude in decimal degrees, such as a value stored by the editor in a <c>string</c> property.
+/// </summary>
+/// <remarks>
+/// The string form is <c>latitude,longitude</c> with a period as decimal separator regardless of culture, for example <c>59.335644,18.030142</c>.
+/// Coordinates are rounded to <see cref="Precision"/> decimals, which is about 0.1 meters.
+/// </remarks>
+/// <example>
+/// <code>
+/// if (GoogleMapsLocation.TryParse(page.StringCoordinates, out var location))
+/// {
+///     page.BlockCoordinates.SetLocation(location);
+/// }
+/// </code>
+/// </example>
+public readonly struct GoogleMapsLocation : IEquatable<GoogleMapsLocation>
+{
+    /// <summary>
+    /// Number of decimals that coordinates are rounded to.
+    /// </summary>
+    public const int Precision = 6;
+
+    /// <summary>
+    /// Format of each coordinate, i.e. an optional sign, digits, and optional decimals after a period,
+    /// the same as the format accepted by the editor (see <c>_parseStringValue</c> in Editor.js).
+    /// </summary>
+    private static readonly Regex CoordinatePattern = new(@"^[-+]?\d+(\.\d+)?$", RegexOptions.ECMAScript);
+
+    /// <summary>
+    /// Creates a location.
+    /// </summary>
+    /// <param name="latitude">Latitude from -90 to 90.</param>
+    /// <param name="longitude">Longitude from -180 to 180.</param>
+    /// <exception cref="ArgumentOutOfRangeException">Latitude or longitude is out of range.</exception>
+    public GoogleMapsLocation(double latitude, double longitude)
+    {
+        if (!IsValidLatitude(latitude))
+        {
+            throw new ArgumentOutOfRangeException(nameof(latitude), latitude, "Latitude must be between -90 and 90.");
+        }
+
+        if (!IsValidLongitude(longitude))
+        {
+            throw new ArgumentOutOfRangeException(nameof(longitude), longitude, "Longitude must be between -180 and 180.");
+        }
+
+        Latitude = Math.Round(latitude, Precision);
+        Longitude = Math.Round(longitude, Precision);
+    }
+
+    /// <summary>
+    /// Gets the latitude from -90 (south) to 90 (north).
+    /// </summary>
+    public double Latitude { get; }
+
+    /// <summary>
+    /// Gets the longitude from -180 (west) to 180 (east).
+    /// </summary>
+    public double Longitude { get; }
+
+    /// <summary>
+    /// Parses a location in the <c>latitude,longitude</c> format.
+    /// </summary>
+    /// <param name="value">Location, for example <c>59.335644,18.030142</c>.</param>
+    /// <returns>The location.</returns>
+    /// <exception cref="FormatException">The value isn't a valid location.</exception>
+    public static GoogleMapsLocation Parse(string value)
+    {
+        return TryParse(value, out var location) ? location : throw new FormatException($"'{value}' is not a valid location, expected latitude and longitude such as '59.335644,18.030142'.");
+    }
+
+    /// <summary>
+    /// Tries to parse a location in the <c>latitude,longitude</c> format.
+    /// </summary>
+    /// <param name="value">Location, for example <c>59.335644,18.030142</c>.</param>
+    /// <param name="location">The location, if valid.</param>
+    /// <returns>True if the value is a valid location with coordinates in range.</returns>
+    /// <remarks>
+    /// Values with a comma as decimal separator, such as <c>59,335644,18,030142</c> written by servers with a culture like <c>sv-SE</c>,
+    /// aren't accepted, as the separators between and within the coordinates can't be told apart reliably.
+    /// Coordinates must have digits on both sides of the decimal point, so values like <c>.5</c> and <c>5.</c> aren't accepted either.
+    /// </remarks>
+    public static bool TryParse([NotNullWhen(true)] string? value, out GoogleMapsLocation location)
+    {
+        location = default;
+
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return false;
+        }
+
+        var parts = value.Split(',', StringSplitOptions.TrimEntries);
+
+        if (parts.Length != 2 ||
+            !TryParseCoordinate(parts[0], out var latitude) || !IsValidLatitude(latitude) ||
+            !TryParseCoordinate(parts[1], out var longitude) || !IsValidLongitude(longitude))
+        {
+            return false;
+        }
+
+        location = new GoogleMapsLocation(latitude, longitude);
+
+        return true;
+    }
+
+    /// <summary>
+    /// Creates a location from coordinates which may be missing or out of range, such as those of a <see cref="GoogleMapsCoordinates"/> block.
+    /// </summary>
+    /// <param name="latitude">Latitude, if any.</param>
+    /// <param name="longitude">Longitude, if any.</param>
+    /// <returns>The location, or null if a coordinate is missing or out of range.</returns>
+    public static GoogleMapsLocation? Create(double? latitude, double? longitude)
+    {
+        return latitude is double lat && longitude is double lng && IsValidLatitude(lat) && IsValidLongitude(lng)
+            ? new GoogleMapsLocation(lat, lng)
+            : null;
+    }
+
+    /// <summary>
+    /// Checks if a latitude is a number from -90 to 90.
+    /// </summary>
+    public static bool IsValidLatitude(double latitude) => latitude is >= -90 and <= 90;
+
+    /// <summary>
+    /// Checks if a longitude is a number from -180 to 180.
+    /// </summary>
+    public static bool IsValidLongitude(double longitude) => longitude is >= -180 and <= 180;
+
+    /// <summary>
+    /// Gets the location in the <c>latitude,longitude</c> format, with a period as decimal separator regardless of culture.
+    /// </summary>
+    public override string ToString()
+    {
+        return string.Create(CultureInfo.InvariantCulture, $"{Latitude:0.######},{Longitude:0.######}");
+    }
+
+    public bool Equals(GoogleMapsLocation other) => Latitude.Equals(other.Latitude) && Longitude.Equals(other.Longitude);
+
+    public override bool Equals(object? obj) => obj is GoogleMapsLocation other && Equals(other);
+
+    public override int GetHashCode() => HashCode.Combine(Latitude, Longitude);
+
+    public static bool operator ==(GoogleMapsLocation left, GoogleMapsLocation right) => left.Equals(right);
+
+    public static bool operator !=(GoogleMapsLocation left, GoogleMapsLocation right) => !left.Equals(right);
+
+    /// <summary>
+    /// Converts a location to the <c>latitude,longitude</c> format stored in <c>string</c> properties.
+    /// </summary>
+    public static implicit operator string(GoogleMapsLocation location) => location.ToString();
+
+    /// <summary>
+    /// Parses a location in the <c>latitude,longitude</c> format.
+    /// </summary>
+    /// <exception cref="FormatException">The value isn't a valid location.</exception>
+    public static explicit operator GoogleMapsLocation(string value) => Parse(value);
+
+    /// <summary>
+    /// Gets the location of a <see cref="GoogleMapsCoordinates"/> block, or null if it has no valid coordinates.
+    /// </summary>
+    public static implicit operator GoogleMapsLocation?(GoogleMapsCoordinates? coordinates) => coordinates?.GetLocation();
+
+    private static bool TryParseCoordinate(string text, out double coordinate)
+    {
+        coordinate = 0;
+
+        return CoordinatePattern.IsMatch(text) &&
+               double.TryParse(text, NumberStyles.AllowLeadingSign | NumberStyles.AllowDecimalPoint, CultureInfo.InvariantCulture, out coordinate);
+    }
+}
@@ -0,0 +1,61 @@
+﻿using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Counts lookups made through the proxy endpoint, per site and lookup type, since the application started.
+/// </summary>
+public class GoogleMapsLookupCounter
+{
+    private readonly ConcurrentDictionary<(string Site, string LookupType), Counts> _counts = new();
+
+    /// <summary>
+    /// Records a lookup.
+    /// </summary>
+    /// <param name="site">Name of the site the lookup was made for.</param>
+    /// <param name="lookupType">Type of lookup, such as <c>Autocomplete</c>.</param>
+    /// <param name="cached">True if the result was cached, i.e. no request was made to Google.</param>
+    public virtual void Increment(string site, string lookupType, bool cached)
+    {
+        var counts = _counts.GetOrAdd((site, lookupType), _ => new Counts());
+
+        if (cached)
+        {
+            Interlocked.Increment(ref counts.CacheHits);
+        }
+        else
+        {
+            Interlocked.Increment(ref counts.Requests);
+        }
+    }
+
+    /// <summary>
+    /// Gets the number of lookups per site and lookup type.
+    /// </summary>
+    public virtual IReadOnlyList<GoogleMapsLookupCount> GetCounts()
+    {
+        return _counts.Select(x => new GoogleMapsLookupCount(x.Key.Site, x.Key.LookupType, Interlocked.Read(ref x.Value.Requests), Interlocked.Read(ref x.Value.CacheHits)))
+                      .OrderBy(x => x.Site)
+                      .ThenBy(x => x.LookupType)
+                      .ToList();
+    }
+
+    private class Counts
+    {
+        public long Requests;
+
+        public long CacheHits;
+    }
+}
+
+/// <summary>
+/// Number of lookups made through the proxy endpoint for a site and lookup type.
+/// </summary>
+/// <param name="Site">Name of the site.</param>
+/// <param name="LookupType">Type of lookup, such as <c>Autocomplete</c>.</param>
+/// <param name="Requests">Number of requests made to Google.</param>
+/// <param name="CacheHits">Number of lookups answered from the cache.</param>
+public record GoogleMapsLookupCount(string Site, string LookupType, long Requests, long CacheHits);
@@ -0,0 +1,36 @@
+﻿using EPiServer.DataAnnotations;
+using System.ComponentModel.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents latitude and longitude coordinates, together with the zoom level and map center chosen by the editor, used for local block properties.
+/// </summary>
+/// <remarks>
+/// The editor reopens with the saved framing, and maps displayed by <see cref="GoogleMapRenderer"/> use it as well.
+/// </remarks>
+[ContentType(
+    GUID = "8c4b0c8c-0a2c-4e00-9786-5e3d87ae8c85",
+    DisplayName = "Google Maps map view",
+    Description = "Used for local blocks to store latitude and longitude coordinates, including the zoom level and map center.",
+    AvailableInEditMode = false)]
+public class GoogleMapsMapView : GoogleMapsCoordinates
+{
+    /// <summary>
+    /// Gets or sets the zoom level of the map when the location was saved, so the map can be displayed with the same framing.
+    /// </summary>
+    [Display(Order = 20)]
+    public virtual int? Zoom { get; set; }
+
+    /// <summary>
+    /// Gets or sets the latitude of the map center when the location was saved, or null if the map was centered on the location.
+    /// </summary>
+    [Display(Order = 21)]
+    public virtual double? CenterLatitude { get; set; }
+
+    /// <summary>
+    /// Gets or sets the longitude of the map center when the location was saved, or null if the map was centered on the location.
+    /// </summary>
+    [Display(Order = 22)]
+    public virtual double? CenterLongitude { get; set; }
+}
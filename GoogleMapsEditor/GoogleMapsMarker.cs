@@ -0,0 +1,21 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents a labeled location, used for <c>IList&lt;GoogleMapsMarker&gt;</c> properties with multiple markers.
+/// </summary>
+public class GoogleMapsMarker
+{
+    [Display(Order = 1)]
+    public virtual double? Latitude { get; set; }
+
+    [Display(Order = 2)]
+    public virtual double? Longitude { get; set; }
+
+    /// <summary>
+    /// Gets or sets an optional label for the location, such as the name of a store.
+    /// </summary>
+    [Display(Order = 3)]
+    public virtual string? Label { get; set; }
+}
@@ -0,0 +1,12 @@
+﻿using EPiServer.Core;
+using EPiServer.PlugIn;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Property definition type for storing <c>IList&lt;GoogleMapsMarker&gt;</c> property values.
+/// </summary>
+[PropertyDefinitionTypePlugIn]
+public class GoogleMapsMarkerListProperty : PropertyList<GoogleMapsMarker>
+{
+}
@@ -0,0 +1,51 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System;
+using System.Threading;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Endpoint for administrators to preview moving locations from <c>string</c> properties to <see cref="GoogleMapsCoordinates"/> properties.
+/// </summary>
+/// <remarks>
+/// Routed by the protected add-on module, for example
+/// <c>/EPiServer/GoogleMapsEditor/GoogleMapsMigration/Preview?contentType=StorePage&amp;source=Coordinates&amp;target=Location</c>.
+/// Content is only changed by <see cref="GoogleMapsMigrationJob"/>, so the endpoint never saves anything.
+/// </remarks>
+[Authorize(Policy = "episerver:cmsadmin")]
+public class GoogleMapsMigrationController : Controller
+{
+    private readonly GoogleMapsMigrationService _migrationService;
+
+    public GoogleMapsMigrationController(GoogleMapsMigrationService migrationService)
+    {
+        _migrationService = migrationService;
+    }
+
+    /// <summary>
+    /// Gets a dry-run report of the locations that would be migrated and the values that can't be parsed, without saving any content.
+    /// </summary>
+    /// <param name="contentType">Name of the content type.</param>
+    /// <param name="source">Name of the <c>string</c> property to copy locations from.</param>
+    /// <param name="target">Name of the <see cref="GoogleMapsCoordinates"/> property to copy locations to.</param>
+    /// <param name="allVersions">True to include all versions, not only the published version in each language.</param>
+    /// <param name="cancellationToken"></param>
+    [HttpGet]
+    public IActionResult Preview(string contentType, string source, string target, bool allVersions, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(contentType) || string.IsNullOrWhiteSpace(source) || string.IsNullOrWhiteSpace(target))
+        {
+            return BadRequest();
+        }
+
+        try
+        {
+            return Json(_migrationService.Migrate(contentType, source, target, allVersions, true, cancellationToken: cancellationToken));
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+}
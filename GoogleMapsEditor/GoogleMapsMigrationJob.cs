@@ -0,0 +1,90 @@
+﻿using EPiServer.PlugIn;
+using EPiServer.Scheduler;
+using Microsoft.Extensions.Options;
+using System;
+using System.Collections.Generic;
+using System.Threading;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Scheduled job moving locations from <c>string</c> properties to <see cref="GoogleMapsCoordinates"/> properties,
+/// for the migrations in <see cref="GoogleMapsEditorOptions.Migrations"/>.
+/// </summary>
+/// <remarks>
+/// Versions where the target property already has a location are left unchanged, so the job can be stopped and run again.
+/// Use the preview endpoint first to list the values that can't be parsed.
+/// </remarks>
+[ScheduledPlugIn(
+    GUID = "5b1f7e3a-2c84-4d9e-a6f0-8e2d4c7b9a13",
+    DisplayName = "Migrate Google Maps locations",
+    Description = "Copies locations from string properties to GoogleMapsCoordinates properties, for the migrations configured in GoogleMapsEditor:Migrations.")]
+public class GoogleMapsMigrationJob : ScheduledJobBase, IProgress<GoogleMapsMigrationProgress>
+{
+    private readonly GoogleMapsMigrationService _migrationService;
+    private readonly GoogleMapsEditorOptions _options;
+    private CancellationTokenSource? _cancellationTokenSource;
+    private GoogleMapsMigrationOptions? _currentMigration;
+
+    public GoogleMapsMigrationJob(GoogleMapsMigrationService migrationService, IOptions<GoogleMapsEditorOptions> options)
+    {
+        _migrationService = migrationService;
+        _options = options.Value;
+
+        IsStoppable = true;
+    }
+
+    public override string Execute()
+    {
+        if (_options.Migrations.Length == 0)
+        {
+            return $"No migrations configured, see {GoogleMapsEditorOptions.SectionName}:{nameof(GoogleMapsEditorOptions.Migrations)}.";
+        }
+
+        using var cancellationTokenSource = new CancellationTokenSource();
+        _cancellationTokenSource = cancellationTokenSource;
+
+        var results = new List<string>();
+
+        try
+        {
+            foreach (var migration in _options.Migrations)
+            {
+                _currentMigration = migration;
+
+                var report = _migrationService.Migrate(migration.ContentType, migration.SourceProperty, migration.TargetProperty, migration.AllVersions, false, this, cancellationTokenSource.Token);
+
+                results.Add($"{GetName(migration)}: {report.Migrated.Count} migrated, {report.Failed.Count} failed, {report.AlreadySet} already set.");
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            results.Add($"Stopped while migrating {GetName(_currentMigration!)}. Run the job again to continue.");
+        }
+        finally
+        {
+            _cancellationTokenSource = null;
+            _currentMigration = null;
+        }
+
+        return string.Join("<br />", results);
+    }
+
+    public override void Stop()
+    {
+        _cancellationTokenSource?.Cancel();
+    }
+
+    /// <summary>
+    /// Displays the progress of the current migration as the status of the job.
+    /// </summary>
+    void IProgress<GoogleMapsMigrationProgress>.Report(GoogleMapsMigrationProgress value)
+    {
+        OnStatusChanged($"{GetName(_currentMigration!)}: {value.Processed} of {value.Total} content items, {value.Migrated} locations migrated.");
+    }
+
+    private static string GetName(GoogleMapsMigrationOptions migration)
+    {
+        return $"{migration.ContentType}.{migration.SourceProperty} to {migration.TargetProperty}";
+    }
+}
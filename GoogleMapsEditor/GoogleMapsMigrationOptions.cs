@@ -0,0 +1,34 @@
+﻿namespace GoogleMapsEditor;
+
+/// <summary>
+/// A migration run by <see cref="GoogleMapsMigrationJob"/>, bound from the <c>GoogleMapsEditor:Migrations</c> configuration section.
+/// </summary>
+/// <example>
+/// <code>
+/// "Migrations": [
+///   { "ContentType": "StorePage", "SourceProperty": "Coordinates", "TargetProperty": "Location" }
+/// ]
+/// </code>
+/// </example>
+public class GoogleMapsMigrationOptions
+{
+    /// <summary>
+    /// Gets or sets the name of the content type, such as <c>StorePage</c>.
+    /// </summary>
+    public string ContentType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the <c>string</c> property with locations in the "lat,lng" format.
+    /// </summary>
+    public string SourceProperty { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the name of the <see cref="GoogleMapsCoordinates"/> property to copy locations to.
+    /// </summary>
+    public string TargetProperty { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether all versions are updated, not only the published version and the common draft in each language.
+    /// </summary>
+    public bool AllVersions { get; set; }
+}
@@ -0,0 +1,222 @@
+﻿using EPiServer;
+using EPiServer.Core;
+using EPiServer.Data.Entity;
+using EPiServer.DataAbstraction;
+using EPiServer.DataAccess;
+using EPiServer.Security;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Threading;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Moves locations from <c>string</c> properties in the "lat,lng" format to <see cref="GoogleMapsCoordinates"/> properties,
+/// used by <see cref="GoogleMapsMigrationJob"/> and the preview endpoint, and available for initialization code.
+/// </summary>
+/// <remarks>
+/// Content is saved using <see cref="SaveAction.Patch"/>, i.e. without creating new versions or changing the status or publish date.
+/// Source properties are left unchanged, so they can be removed from the content type once the migration is complete.
+/// </remarks>
+public class GoogleMapsMigrationService
+{
+    private readonly IContentTypeRepository _contentTypeRepository;
+    private readonly IContentModelUsage _contentModelUsage;
+    private readonly IContentRepository _contentRepository;
+    private readonly IContentVersionRepository _contentVersionRepository;
+    private readonly ILogger<GoogleMapsMigrationService> _logger;
+
+    public GoogleMapsMigrationService(IContentTypeRepository contentTypeRepository, IContentModelUsage contentModelUsage, IContentRepository contentRepository, IContentVersionRepository contentVersionRepository, ILogger<GoogleMapsMigrationService> logger)
+    {
+        _contentTypeRepository = contentTypeRepository;
+        _contentModelUsage = contentModelUsage;
+        _contentRepository = contentRepository;
+        _contentVersionRepository = contentVersionRepository;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Copies locations from a <c>string</c> property to a <see cref="GoogleMapsCoordinates"/> property of the same content type, in all languages.
+    /// </summary>
+    /// <param name="contentTypeName">Name of the content type, such as <c>StorePage</c>.</param>
+    /// <param name="sourceProperty">Name of the <c>string</c> property with locations in the "lat,lng" format.</param>
+    /// <param name="targetProperty">Name of the <see cref="GoogleMapsCoordinates"/> property to copy locations to.</param>
+    /// <param name="allVersions">True to update all versions, false to only update the published version (or latest version, if unpublished) and the common draft in each language.</param>
+    /// <param name="dryRun">True to only report what would be migrated, without saving any content.</param>
+    /// <param name="progress">Optional progress, reported after each content item.</param>
+    /// <param name="cancellationToken"></param>
+    /// <returns>Versions that were (or would be) migrated, and values that couldn't be parsed.</returns>
+    /// <remarks>
+    /// Versions where the target property already has a location are left unchanged, so the migration can be run again
+    /// if it's interrupted. Non-culture-specific target properties are only updated in the master language.
+    /// </remarks>
+    /// <exception cref="ArgumentException">The content type or one of the properties doesn't exist.</exception>
+    public virtual GoogleMapsMigrationReport Migrate(string contentTypeName, string sourceProperty, string targetProperty, bool allVersions, bool dryRun, IProgress<GoogleMapsMigrationProgress>? progress = null, CancellationToken cancellationToken = default)
+    {
+        var contentType = _contentTypeRepository.Load(contentTypeName) ?? throw new ArgumentException($"Content type '{contentTypeName}' doesn't exist.", nameof(contentTypeName));
+
+        if (!HasProperty(contentType, sourceProperty))
+        {
+            throw new ArgumentException($"Content type '{contentTypeName}' has no property '{sourceProperty}'.", nameof(sourceProperty));
+        }
+
+        if (!HasProperty(contentType, targetProperty))
+        {
+            throw new ArgumentException($"Content type '{contentTypeName}' has no property '{targetProperty}'.", nameof(targetProperty));
+        }
+
+        var migrated = new List<GoogleMapsMigrationEntry>();
+        var failed = new List<GoogleMapsMigrationEntry>();
+        var empty = 0;
+        var alreadySet = 0;
+
+        var contentLinks = _contentModelUsage.ListContentOfContentType(contentType)
+                                             .Select(x => x.ContentLink.ToReferenceWithoutVersion())
+                                             .Distinct()
+                                             .ToList();
+        var processed = 0;
+
+        foreach (var contentLink in contentLinks)
+        {
+            foreach (var content in GetVersions(contentLink, allVersions))
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                if (content.Property[targetProperty] is not { } target || target.Value is not GoogleMapsCoordinates coordinates)
+                {
+                    throw new ArgumentException($"Property '{targetProperty}' of content type '{contentTypeName}' isn't of type {nameof(GoogleMapsCoordinates)}.", nameof(targetProperty));
+                }
+
+                if (!target.IsLanguageSpecific && content is ILocalizable { Language: { } language } localizable && !language.Equals(localizable.MasterLanguage))
+                {
+                    continue;
+                }
+
+                var value = content.Property[sourceProperty]?.Value as string;
+
+                if (string.IsNullOrWhiteSpace(value))
+                {
+                    empty++;
+                    continue;
+                }
+
+                var entry = new GoogleMapsMigrationEntry(content.ContentLink.ToString(), content.Name, (content as ILocalizable)?.Language?.Name, value);
+
+                if (!GoogleMapsLocation.TryParse(value, out var location))
+                {
+                    failed.Add(entry);
+                    continue;
+                }
+
+                if (coordinates.GetLocation() is not null)
+                {
+                    alreadySet++;
+                    continue;
+                }
+
+                if (!dryRun)
+                {
+                    var clone = (IContent)((IReadOnly)content).CreateWritableClone();
+
+                    ((GoogleMapsCoordinates)clone.Property[targetProperty].Value).SetLocation(location);
+
+                    _contentRepository.Save(clone, SaveAction.Patch | SaveAction.SkipValidation, AccessLevel.NoAccess);
+                }
+
+                migrated.Add(entry);
+            }
+
+            progress?.Report(new GoogleMapsMigrationProgress(++processed, contentLinks.Count, migrated.Count));
+        }
+
+        if (!dryRun)
+        {
+            _logger.LogInformation("Migrated {Migrated} locations from {ContentType}.{SourceProperty} to {TargetProperty}, {Failed} values couldn't be parsed",
+                migrated.Count, contentTypeName, sourceProperty, targetProperty, failed.Count);
+        }
+
+        return new GoogleMapsMigrationReport(dryRun, migrated, failed, empty, alreadySet);
+    }
+
+    /// <summary>
+    /// Gets the versions of a content item to migrate, in all languages.
+    /// </summary>
+    /// <remarks>
+    /// Unless all versions are migrated, the common draft is included along with the published version, so the location
+    /// isn't lost when a draft created before the migration is published.
+    /// </remarks>
+    private IEnumerable<IContent> GetVersions(ContentReference contentLink, bool allVersions)
+    {
+        if (allVersions)
+        {
+            return _contentVersionRepository.List(contentLink)
+                                            .Select(version => LoadVersion(version))
+                                            .OfType<IContent>();
+        }
+
+        return _contentRepository.GetLanguageBranches<IContent>(contentLink)
+                                 .SelectMany(content => GetCommonDraft(content) is { } draft ? new[] { content, draft } : new[] { content });
+    }
+
+    /// <summary>
+    /// Gets the common draft of a published language branch, or null if there is no draft other than the version already being migrated.
+    /// </summary>
+    private IContent? GetCommonDraft(IContent content)
+    {
+        if (content is not IVersionable { Status: VersionStatus.Published })
+        {
+            // Unpublished content is loaded in its latest version
+            return null;
+        }
+
+        var language = (content as ILocalizable)?.Language?.Name ?? string.Empty;
+        var draft = _contentVersionRepository.LoadCommonDraft(content.ContentLink.ToReferenceWithoutVersion(), language);
+
+        return draft is null || draft.Status == VersionStatus.Published ? null : LoadVersion(draft);
+    }
+
+    private IContent? LoadVersion(ContentVersion version)
+    {
+        return _contentRepository.TryGet<IContent>(version.ContentLink, GetCulture(version.LanguageBranch), out var content) ? content : null;
+    }
+
+    private static CultureInfo GetCulture(string? languageBranch)
+    {
+        return string.IsNullOrEmpty(languageBranch) ? CultureInfo.InvariantCulture : CultureInfo.GetCultureInfo(languageBranch);
+    }
+
+    private static bool HasProperty(ContentType contentType, string propertyName)
+    {
+        return contentType.PropertyDefinitions.Any(x => string.Equals(x.Name, propertyName, StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+/// <summary>
+/// Result of migrating locations from a <c>string</c> property to a <see cref="GoogleMapsCoordinates"/> property.
+/// </summary>
+/// <param name="DryRun">True if no content was saved.</param>
+/// <param name="Migrated">Versions that were migrated, or would be migrated if not a dry run.</param>
+/// <param name="Failed">Versions with values that couldn't be parsed, which are left unchanged.</param>
+/// <param name="Empty">Number of versions without a value.</param>
+/// <param name="AlreadySet">Number of versions where the target property already has a location, which are left unchanged.</param>
+public record GoogleMapsMigrationReport(bool DryRun, IReadOnlyList<GoogleMapsMigrationEntry> Migrated, IReadOnlyList<GoogleMapsMigrationEntry> Failed, int Empty, int AlreadySet);
+
+/// <summary>
+/// Progress of migrating locations, reported after each content item.
+/// </summary>
+/// <param name="Processed">Number of content items processed, in all languages and versions.</param>
+/// <param name="Total">Number of content items of the content type.</param>
+/// <param name="Migrated">Number of versions migrated so far, or that would be migrated if a dry run.</param>
+public record GoogleMapsMigrationProgress(int Processed, int Total, int Migrated);
+
+/// <summary>
+/// Content version included in a <see cref="GoogleMapsMigrationReport"/>.
+/// </summary>
+/// <param name="ContentLink">Content reference including the version, such as <c>123_456</c>.</param>
+/// <param name="Name">Name of the content.</param>
+/// <param name="Language">Language of the version, if the content is localizable.</param>
+/// <param name="Value">Value of the source property.</param>
+public record GoogleMapsMigrationEntry(string ContentLink, string Name, string? Language, string Value);
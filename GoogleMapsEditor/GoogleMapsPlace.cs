@@ -0,0 +1,37 @@
+﻿using EPiServer.DataAnnotations;
+using System.ComponentModel.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents latitude and longitude coordinates, together with details about the selected place, used for local block properties.
+/// </summary>
+/// <remarks>
+/// Place details are set when a location is selected through search, or when the selected coordinates are reverse geocoded.
+/// <see cref="DisplayName"/> is only set for places selected through search.
+/// </remarks>
+[ContentType(
+    GUID = "3f0c6a0e-9d8b-4c52-8a0f-2f6e5b7d1c94",
+    DisplayName = "Google Maps place",
+    Description = "Used for local blocks to store latitude and longitude coordinates, including place ID, display name, and address.",
+    AvailableInEditMode = false)]
+public class GoogleMapsPlace : GoogleMapsCoordinates
+{
+    /// <summary>
+    /// Gets or sets the Google Maps place ID, for example to use in "Get directions" links.
+    /// </summary>
+    [Display(Order = 3)]
+    public virtual string? PlaceId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the display name of the place, such as the name of a business.
+    /// </summary>
+    [Display(Order = 4)]
+    public virtual string? DisplayName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the address of the place.
+    /// </summary>
+    [Display(Order = 5)]
+    public virtual string? FormattedAddress { get; set; }
+}
@@ -0,0 +1,19 @@
+﻿using EPiServer.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents an area drawn on the map, such as a delivery zone, used for local block properties.
+/// </summary>
+/// <remarks>
+/// Stored as a GeoJSON <c>Polygon</c> geometry with a single closed ring, for example:
+/// <c>{"type":"Polygon","coordinates":[[[18.03,59.33],[18.08,59.33],[18.05,59.36],[18.03,59.33]]]}</c>
+/// </remarks>
+[ContentType(
+    GUID = "c5a3e1d2-7b84-4f0e-9a61-3d2b8f4e6a17",
+    DisplayName = "Google Maps polygon",
+    Description = "Used for local blocks to store an area as a GeoJSON polygon.",
+    AvailableInEditMode = false)]
+public class GoogleMapsPolygon : GoogleMapsShape
+{
+}
@@ -0,0 +1,19 @@
+﻿using EPiServer.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents a route drawn on the map, such as a trail, used for local block properties.
+/// </summary>
+/// <remarks>
+/// Stored as a GeoJSON <c>LineString</c> geometry, for example:
+/// <c>{"type":"LineString","coordinates":[[18.03,59.33],[18.08,59.33],[18.05,59.36]]}</c>
+/// </remarks>
+[ContentType(
+    GUID = "0e9d4b6f-2a3c-4d18-b7e5-8f1c6a9d2e40",
+    DisplayName = "Google Maps polyline",
+    Description = "Used for local blocks to store a route as a GeoJSON line string.",
+    AvailableInEditMode = false)]
+public class GoogleMapsPolyline : GoogleMapsShape
+{
+}
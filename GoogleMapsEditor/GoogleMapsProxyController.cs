@@ -0,0 +1,140 @@
+﻿using EPiServer.Web;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System;
+using System.Globalization;
+using System.Linq;
+using System.Net.Http;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Proxy endpoint for Places autocomplete and geocoding, used by the editor if <see cref="GoogleMapsProxyOptions.Enabled"/> is true.
+/// </summary>
+/// <remarks>Routed by the protected add-on module, for example <c>/EPiServer/GoogleMapsEditor/GoogleMapsProxy/Autocomplete</c>.</remarks>
+[Authorize(Policy = "episerver:cmsedit")]
+public class GoogleMapsProxyController : Controller
+{
+    private readonly GoogleMapsProxyService _proxyService;
+    private readonly GoogleMapsLookupCounter _counter;
+    private readonly GoogleMapsProxyOptions _options;
+    private readonly ILogger<GoogleMapsProxyController> _logger;
+
+    public GoogleMapsProxyController(GoogleMapsProxyService proxyService, GoogleMapsLookupCounter counter, IOptions<GoogleMapsEditorOptions> options, ILogger<GoogleMapsProxyController> logger)
+    {
+        _proxyService = proxyService;
+        _counter = counter;
+        _options = options.Value.Proxy;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Gets search suggestions.
+    /// </summary>
+    /// <param name="input">Text typed by the user.</param>
+    /// <param name="sessionToken">Session token of the search.</param>
+    /// <param name="latitude">Optional latitude to prefer results near.</param>
+    /// <param name="longitude">Optional longitude to prefer results near.</param>
+    /// <param name="countries">Optional comma-separated country codes to limit results to.</param>
+    /// <param name="bounds">Optional comma-separated south, west, north, and east coordinates to limit results to.</param>
+    /// <param name="placeTypes">Optional comma-separated place types to limit results to.</param>
+    /// <param name="language">Optional language of the results.</param>
+    /// <param name="cancellationToken"></param>
+    [HttpGet]
+    public Task<IActionResult> Autocomplete(string input, string? sessionToken, double? latitude, double? longitude, string? countries, string? bounds, string? placeTypes, string? language, CancellationToken cancellationToken)
+    {
+        var boundsValues = Split(bounds)?.Select(x => double.TryParse(x, NumberStyles.Float, CultureInfo.InvariantCulture, out var value) ? value : double.NaN).ToArray();
+
+        if (string.IsNullOrWhiteSpace(input) || boundsValues is not (null or { Length: 4 }) || boundsValues?.Any(double.IsNaN) == true)
+        {
+            return Task.FromResult<IActionResult>(BadRequest());
+        }
+
+        return LookupAsync(() => _proxyService.AutocompleteAsync(GetSiteName(), input, sessionToken, latitude, longitude, Split(countries), boundsValues, Split(placeTypes), language, cancellationToken));
+    }
+
+    /// <summary>
+    /// Gets the location and details of a place.
+    /// </summary>
+    /// <param name="placeId">Google Maps place ID.</param>
+    /// <param name="sessionToken">Session token of the search, if any.</param>
+    /// <param name="language">Optional language of the results.</param>
+    /// <param name="cancellationToken"></param>
+    [HttpGet]
+    public Task<IActionResult> Place(string placeId, string? sessionToken, string? language, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(placeId))
+        {
+            return Task.FromResult<IActionResult>(BadRequest());
+        }
+
+        return LookupAsync(() => _proxyService.GetPlaceAsync(GetSiteName(), placeId, sessionToken, language, cancellationToken));
+    }
+
+    /// <summary>
+    /// Gets the address of a location.
+    /// </summary>
+    /// <param name="latitude">Latitude of the location.</param>
+    /// <param name="longitude">Longitude of the location.</param>
+    /// <param name="language">Optional language of the results.</param>
+    /// <param name="cancellationToken"></param>
+    [HttpGet]
+    public Task<IActionResult> ReverseGeocode(double latitude, double longitude, string? language, CancellationToken cancellationToken)
+    {
+        if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180)
+        {
+            return Task.FromResult<IActionResult>(BadRequest());
+        }
+
+        return LookupAsync(() => _proxyService.ReverseGeocodeAsync(GetSiteName(), latitude, longitude, language, cancellationToken));
+    }
+
+    /// <summary>
+    /// Gets the number of lookups per site and lookup type since the application started.
+    /// </summary>
+    [HttpGet]
+    [Authorize(Policy = "episerver:cmsadmin")]
+    public IActionResult Statistics()
+    {
+        return Json(_counter.GetCounts());
+    }
+
+    private async Task<IActionResult> LookupAsync<T>(Func<Task<T>> lookup)
+    {
+        if (!_options.Enabled)
+        {
+            return NotFound();
+        }
+
+        if (!_proxyService.TryAcquire(User.Identity?.Name ?? string.Empty))
+        {
+            return StatusCode(StatusCodes.Status429TooManyRequests);
+        }
+
+        try
+        {
+            return Json(await lookup());
+        }
+        catch (HttpRequestException ex)
+        {
+            _logger.LogError(ex, "Google Maps lookup failed");
+
+            return StatusCode(StatusCodes.Status502BadGateway);
+        }
+    }
+
+    private string GetSiteName()
+    {
+        return SiteDefinition.Current?.Name is { Length: > 0 } name ? name : Request.Host.Host;
+    }
+
+    private static string[]? Split(string? value)
+    {
+        return string.IsNullOrWhiteSpace(value) ? null : value.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+    }
+}
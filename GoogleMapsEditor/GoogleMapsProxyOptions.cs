@@ -0,0 +1,34 @@
+﻿using System;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Settings for the proxy endpoint for Places autocomplete and geocoding, bound from the <c>GoogleMapsEditor:Proxy</c> configuration section.
+/// </summary>
+/// <remarks>
+/// When enabled, search and address lookups are made by the server using <see cref="ServerApiKey"/>, so the API key used
+/// in the browser only needs access to the Maps JavaScript API and can be restricted to the websites of the CMS.
+/// </remarks>
+public class GoogleMapsProxyOptions
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether search and address lookups are made through the proxy endpoint.
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    /// Gets or sets the server-side API key for the Places API and the Geocoding API.
+    /// </summary>
+    /// <remarks>Required if <see cref="Enabled"/> is true. Should be restricted to the IP addresses of the web servers.</remarks>
+    public string ServerApiKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets how long lookup results are cached, or <see cref="TimeSpan.Zero"/> to disable caching.
+    /// </summary>
+    public TimeSpan CacheDuration { get; set; } = TimeSpan.FromHours(1);
+
+    /// <summary>
+    /// Gets or sets the maximum number of lookups per user and minute, or 0 for no limit.
+    /// </summary>
+    public int RequestsPerMinute { get; set; } = 60;
+}
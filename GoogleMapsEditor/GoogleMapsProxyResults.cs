@@ -0,0 +1,27 @@
+﻿namespace GoogleMapsEditor;
+
+/// <summary>
+/// Search suggestion returned by the proxy endpoint.
+/// </summary>
+/// <param name="Text">Text describing the place, such as its name and address.</param>
+/// <param name="PlaceId">Google Maps place ID.</param>
+public record GoogleMapsSuggestionResult(string Text, string PlaceId);
+
+/// <summary>
+/// Place details returned by the proxy endpoint.
+/// </summary>
+/// <param name="Latitude">Latitude of the place.</param>
+/// <param name="Longitude">Longitude of the place.</param>
+/// <param name="PlaceId">Google Maps place ID.</param>
+/// <param name="DisplayName">Display name of the place, such as the name of a business.</param>
+/// <param name="FormattedAddress">Formatted address of the place.</param>
+/// <param name="Viewport">Suggested map view of the place as south, west, north, and east coordinates, if any.</param>
+public record GoogleMapsPlaceResult(double Latitude, double Longitude, string? PlaceId, string? DisplayName, string? FormattedAddress, double[]? Viewport);
+
+/// <summary>
+/// Address of a location returned by the proxy endpoint.
+/// </summary>
+/// <param name="PlaceId">Google Maps place ID of the address.</param>
+/// <param name="FormattedAddress">Formatted address.</param>
+/// <param name="CountryCode">Upper-case ISO 3166-1 alpha-2 code of the country, if any.</param>
+public record GoogleMapsAddressResult(string? PlaceId, string? FormattedAddress, string? CountryCode);
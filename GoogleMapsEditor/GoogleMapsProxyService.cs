@@ -0,0 +1,316 @@
+﻿using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Net.Http;
+using System.Net.Http.Json;
+using System.Runtime.CompilerServices;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Makes Places autocomplete and geocoding lookups on behalf of the editor, using the server-side API key.
+/// </summary>
+/// <remarks>Results are cached according to <see cref="GoogleMapsProxyOptions.CacheDuration"/>, and lookups are counted per site.</remarks>
+public class GoogleMapsProxyService
+{
+    private const string AutocompleteUrl = "https://places.googleapis.com/v1/places:autocomplete";
+    private const string PlaceUrl = "https://places.googleapis.com/v1/places/";
+    private const string GeocodeUrl = "https://maps.googleapis.com/maps/api/geocode/json";
+
+    private readonly HttpClient _httpClient;
+    private readonly IMemoryCache _cache;
+    private readonly GoogleMapsLookupCounter _counter;
+    private readonly GoogleMapsProxyOptions _options;
+    private readonly ILogger<GoogleMapsProxyService> _logger;
+
+    public GoogleMapsProxyService(HttpClient httpClient, IMemoryCache cache, GoogleMapsLookupCounter counter, IOptions<GoogleMapsEditorOptions> options, ILogger<GoogleMapsProxyService> logger)
+    {
+        _httpClient = httpClient;
+        _cache = cache;
+        _counter = counter;
+        _options = options.Value.Proxy;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Checks if a user may make another lookup, and counts the lookup if so.
+    /// </summary>
+    /// <param name="userName">Name of the user making the lookup.</param>
+    /// <returns>False if the user has exceeded <see cref="GoogleMapsProxyOptions.RequestsPerMinute"/>.</returns>
+    public virtual bool TryAcquire(string userName)
+    {
+        if (_options.RequestsPerMinute <= 0)
+        {
+            return true;
+        }
+
+        var minute = DateTime.UtcNow.Ticks / TimeSpan.TicksPerMinute;
+
+        var requests = _cache.GetOrCreate($"GoogleMapsEditor:RateLimit:{userName}:{minute}", entry =>
+        {
+            entry.AbsoluteExpirationRelativeToNow = TimeSpan.FromMinutes(2);
+
+            return new StrongBox<int>();
+        })!;
+
+        return Interlocked.Increment(ref requests.Value) <= _options.RequestsPerMinute;
+    }
+
+    /// <summary>
+    /// Gets search suggestions using the Places API autocomplete.
+    /// </summary>
+    /// <param name="site">Name of the site the lookup is made for, used for counting lookups.</param>
+    /// <param name="input">Text typed by the user.</param>
+    /// <param name="sessionToken">Session token grouping the autocomplete requests and the place details request of a search.</param>
+    /// <param name="latitude">Optional latitude to prefer results near.</param>
+    /// <param name="longitude">Optional longitude to prefer results near.</param>
+    /// <param name="countries">Optional country codes to limit results to.</param>
+    /// <param name="bounds">Optional south, west, north, and east coordinates to limit results to.</param>
+    /// <param name="placeTypes">Optional place types to limit results to.</param>
+    /// <param name="language">Optional language of the results, for example <c>sv</c>.</param>
+    /// <param name="cancellationToken"></param>
+    public virtual async Task<IReadOnlyList<GoogleMapsSuggestionResult>> AutocompleteAsync(string site, string input, string? sessionToken, double? latitude, double? longitude, string[]? countries, double[]? bounds, string[]? placeTypes, string? language, CancellationToken cancellationToken = default)
+    {
+        var body = new Dictionary<string, object>
+        {
+            ["input"] = input
+        };
+
+        if (!string.IsNullOrEmpty(sessionToken))
+        {
+            body["sessionToken"] = sessionToken;
+        }
+
+        if (latitude.HasValue && longitude.HasValue)
+        {
+            body["origin"] = new { latitude = latitude.Value, longitude = longitude.Value };
+        }
+
+        if (countries is { Length: > 0 })
+        {
+            body["includedRegionCodes"] = countries.Select(x => x.ToLowerInvariant()).ToArray();
+        }
+
+        if (bounds is { Length: 4 })
+        {
+            body["locationRestriction"] = new
+            {
+                rectangle = new
+                {
+                    low = new { latitude = bounds[0], longitude = bounds[1] },
+                    high = new { latitude = bounds[2], longitude = bounds[3] }
+                }
+            };
+        }
+
+        if (placeTypes is { Length: > 0 })
+        {
+            body["includedPrimaryTypes"] = placeTypes;
+        }
+
+        if (!string.IsNullOrEmpty(language))
+        {
+            body["languageCode"] = language;
+        }
+
+        // The session token is left out of the cache key, as it doesn't affect the results
+        var cacheKey = $"GoogleMapsEditor:Autocomplete:{input}:{latitude?.ToString("F3", CultureInfo.InvariantCulture)}:{longitude?.ToString("F3", CultureInfo.InvariantCulture)}:{string.Join(",", countries ?? Array.Empty<string>())}:{string.Join(",", bounds ?? Array.Empty<double>())}:{string.Join(",", placeTypes ?? Array.Empty<string>())}:{language}";
+
+        return await GetCachedAsync(site, "Autocomplete", cacheKey, async () =>
+        {
+            using var request = new HttpRequestMessage(HttpMethod.Post, AutocompleteUrl)
+            {
+                Content = JsonContent.Create(body)
+            };
+
+            using var document = await SendAsync(request, cancellationToken);
+
+            var suggestions = new List<GoogleMapsSuggestionResult>();
+
+            if (document.RootElement.TryGetProperty("suggestions", out var items))
+            {
+                foreach (var item in items.EnumerateArray())
+                {
+                    if (item.TryGetProperty("placePrediction", out var prediction) &&
+                        prediction.TryGetProperty("placeId", out var placeId) &&
+                        prediction.TryGetProperty("text", out var text) && text.TryGetProperty("text", out var textValue))
+                    {
+                        suggestions.Add(new GoogleMapsSuggestionResult(textValue.GetString() ?? string.Empty, placeId.GetString() ?? string.Empty));
+                    }
+                }
+            }
+
+            return suggestions;
+        });
+    }
+
+    /// <summary>
+    /// Gets the location and details of a place using the Places API.
+    /// </summary>
+    /// <param name="site">Name of the site the lookup is made for, used for counting lookups.</param>
+    /// <param name="placeId">Google Maps place ID, such as from a search suggestion.</param>
+    /// <param name="sessionToken">Session token used for the autocomplete requests of the search, if any.</param>
+    /// <param name="language">Optional language of the results, for example <c>sv</c>.</param>
+    /// <param name="cancellationToken"></param>
+    /// <returns>The place, or null if it has no location.</returns>
+    public virtual async Task<GoogleMapsPlaceResult?> GetPlaceAsync(string site, string placeId, string? sessionToken, string? language, CancellationToken cancellationToken = default)
+    {
+        var url = $"{PlaceUrl}{Uri.EscapeDataString(placeId)}?languageCode={Uri.EscapeDataString(language ?? string.Empty)}";
+
+        if (!string.IsNullOrEmpty(sessionToken))
+        {
+            url += $"&sessionToken={Uri.EscapeDataString(sessionToken)}";
+        }
+
+        return await GetCachedAsync(site, "Place", $"GoogleMapsEditor:Place:{placeId}:{language}", async () =>
+        {
+            using var request = new HttpRequestMessage(HttpMethod.Get, url);
+
+            request.Headers.Add("X-Goog-FieldMask", "id,displayName,formattedAddress,location,viewport");
+
+            using var document = await SendAsync(request, cancellationToken);
+
+            var root = document.RootElement;
+
+            if (!root.TryGetProperty("location", out var location))
+            {
+                return null;
+            }
+
+            return new GoogleMapsPlaceResult(
+                location.GetProperty("latitude").GetDouble(),
+                location.GetProperty("longitude").GetDouble(),
+                root.TryGetProperty("id", out var id) ? id.GetString() : placeId,
+                root.TryGetProperty("displayName", out var displayName) && displayName.TryGetProperty("text", out var displayNameText) ? displayNameText.GetString() : null,
+                root.TryGetProperty("formattedAddress", out var formattedAddress) ? formattedAddress.GetString() : null,
+                root.TryGetProperty("viewport", out var viewport) ? GetViewport(viewport) : null);
+        });
+    }
+
+    /// <summary>
+    /// Gets the coordinates of a Places API viewport, which has low (south-west) and high (north-east) corners.
+    /// </summary>
+    /// <param name="viewport">Viewport element.</param>
+    /// <returns>South, west, north, and east coordinates, or null if a corner is missing.</returns>
+    private static double[]? GetViewport(JsonElement viewport)
+    {
+        if (!viewport.TryGetProperty("low", out var low) || !viewport.TryGetProperty("high", out var high))
+        {
+            return null;
+        }
+
+        return new[]
+        {
+            low.GetProperty("latitude").GetDouble(),
+            low.GetProperty("longitude").GetDouble(),
+            high.GetProperty("latitude").GetDouble(),
+            high.GetProperty("longitude").GetDouble()
+        };
+    }
+
+    /// <summary>
+    /// Gets the address of a location using the Geocoding API.
+    /// </summary>
+    /// <param name="site">Name of the site the lookup is made for, used for counting lookups.</param>
+    /// <param name="latitude">Latitude of the location.</param>
+    /// <param name="longitude">Longitude of the location.</param>
+    /// <param name="language">Optional language of the results, for example <c>sv</c>.</param>
+    /// <param name="cancellationToken"></param>
+    /// <returns>The address, or null if none was found.</returns>
+    public virtual async Task<GoogleMapsAddressResult?> ReverseGeocodeAsync(string site, double latitude, double longitude, string? language, CancellationToken cancellationToken = default)
+    {
+        var latLng = string.Create(CultureInfo.InvariantCulture, $"{latitude:F6},{longitude:F6}");
+
+        return await GetCachedAsync(site, "ReverseGeocode", $"GoogleMapsEditor:ReverseGeocode:{latLng}:{language}", async () =>
+        {
+            using var request = new HttpRequestMessage(HttpMethod.Get, $"{GeocodeUrl}?latlng={latLng}&language={Uri.EscapeDataString(language ?? string.Empty)}&key={Uri.EscapeDataString(_options.ServerApiKey)}");
+
+            using var document = await SendAsync(request, cancellationToken);
+
+            var root = document.RootElement;
+            var status = root.GetProperty("status").GetString();
+
+            if (status == "ZERO_RESULTS")
+            {
+                return null;
+            }
+
+            if (status != "OK")
+            {
+                throw new HttpRequestException($"Geocoding failed with status {status}.");
+            }
+
+            var results = root.GetProperty("results").EnumerateArray().ToList();
+
+            if (results.Count == 0)
+            {
+                return null;
+            }
+
+            var result = results[0];
+
+            // The country may not be part of the most specific result, so all results are checked
+            var countryCode = results.SelectMany(x => x.TryGetProperty("address_components", out var components) ? components.EnumerateArray() : Enumerable.Empty<JsonElement>())
+                                     .Where(x => x.GetProperty("types").EnumerateArray().Any(t => t.ValueEquals("country")))
+                                     .Select(x => x.GetProperty("short_name").GetString()?.ToUpperInvariant())
+                                     .FirstOrDefault();
+
+            return new GoogleMapsAddressResult(
+                result.TryGetProperty("place_id", out var placeId) ? placeId.GetString() : null,
+                result.TryGetProperty("formatted_address", out var formattedAddress) ? formattedAddress.GetString() : null,
+                countryCode);
+        });
+    }
+
+    private async Task<T> GetCachedAsync<T>(string site, string lookupType, string cacheKey, Func<Task<T>> lookup)
+    {
+        if (_cache.TryGetValue(cacheKey, out T? cached))
+        {
+            _counter.Increment(site, lookupType, true);
+
+            return cached!;
+        }
+
+        _logger.LogDebug("{LookupType} lookup for site {Site}", lookupType, site);
+
+        var result = await lookup();
+
+        _counter.Increment(site, lookupType, false);
+
+        if (_options.CacheDuration > TimeSpan.Zero)
+        {
+            _cache.Set(cacheKey, result, _options.CacheDuration);
+        }
+
+        return result;
+    }
+
+    private async Task<JsonDocument> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+    {
+        // The Geocoding API takes the key as a query string parameter, while the Places API takes it as a header
+        if (request.RequestUri?.Host == "places.googleapis.com")
+        {
+            request.Headers.Add("X-Goog-Api-Key", _options.ServerApiKey);
+        }
+
+        using var response = await _httpClient.SendAsync(request, cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
+        {
+            _logger.LogWarning("Google Maps lookup failed with status code {StatusCode}: {Response}", (int)response.StatusCode, await response.Content.ReadAsStringAsync(cancellationToken));
+
+            response.EnsureSuccessStatusCode();
+        }
+
+        await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+
+        return await JsonDocument.ParseAsync(stream, cancellationToken: cancellationToken);
+    }
+}
@@ -0,0 +1,17 @@
+﻿using EPiServer.Core;
+using System.ComponentModel.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Base class for shapes drawn on the map, used for local block properties.
+/// </summary>
+/// <remarks>The shape is stored as a GeoJSON geometry, where positions are <c>[longitude, latitude]</c>.</remarks>
+public abstract class GoogleMapsShape : BlockData
+{
+    /// <summary>
+    /// Gets or sets the GeoJSON geometry of the shape.
+    /// </summary>
+    [Display(Order = 1)]
+    public virtual string? GeoJson { get; set; }
+}
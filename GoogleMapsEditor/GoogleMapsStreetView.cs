@@ -0,0 +1,43 @@
+﻿using EPiServer.DataAnnotations;
+using System.ComponentModel.DataAnnotations;
+
+namespace GoogleMapsEditor;
+
+/// <summary>
+/// Represents latitude and longitude coordinates, together with a Street View panorama and point of view, used for local block properties.
+/// </summary>
+/// <remarks>
+/// The editor displays a Street View preview of the selected location, where editors choose the view to save.
+/// The point of view is empty if there is no Street View imagery near the location.
+/// </remarks>
+[ContentType(
+    GUID = "d2b8f4a6-71c3-4e59-9a0d-5e3c8b1f6a27",
+    DisplayName = "Google Maps Street View",
+    Description = "Used for local blocks to store latitude and longitude coordinates, including a Street View panorama and point of view.",
+    AvailableInEditMode = false)]
+public class GoogleMapsStreetView : GoogleMapsCoordinates
+{
+    /// <summary>
+    /// Gets or sets the ID of the Street View panorama.
+    /// </summary>
+    [Display(Order = 3)]
+    public virtual string? PanoramaId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the compass heading of the camera in degrees, from 0 (north) to 360.
+    /// </summary>
+    [Display(Order = 4)]
+    public virtual double? Heading { get; set; }
+
+    /// <summary>
+    /// Gets or sets the pitch of the camera in degrees, from -90 (straight down) to 90 (straight up).
+    /// </summary>
+    [Display(Order = 5)]
+    public virtual double? Pitch { get; set; }
+
+    /// <summary>
+    /// Gets or sets the zoom level of the panorama, where 0 is the widest field of view.
+    /// </summary>
+    [Display(Order = 6)]
+    public virtual double? PanoramaZoom { get; set; }
+}
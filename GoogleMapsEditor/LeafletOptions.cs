@@ -0,0 +1,44 @@
+﻿namespace GoogleMapsEditor;
+
+/// <summary>
+/// Settings for the Leaflet map provider, bound from the <c>GoogleMapsEditor:Leaflet</c> configuration section.
+/// </summary>
+/// <remarks>
+/// The Leaflet script and stylesheet must be hosted by the site, or a CDN of your choice. Map tiles use the public OpenStreetMap
+/// tile server by default, whose usage policy doesn't allow heavy use, so use your own or a commercial tile server for production sites.
+/// Search and addresses are only available if <see cref="GeocodingUrl"/> is specified.
+/// </remarks>
+public class LeafletOptions
+{
+    /// <summary>
+    /// Gets or sets the URL of the Leaflet script, such as <c>/lib/leaflet/leaflet.js</c>.
+    /// </summary>
+    /// <remarks>Required if Leaflet is used.</remarks>
+    public string ScriptUrl { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the URL of the Leaflet stylesheet, such as <c>/lib/leaflet/leaflet.css</c>.
+    /// </summary>
+    /// <remarks>Required if Leaflet is used.</remarks>
+    public string StyleUrl { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Gets or sets the URL template for map tiles, with <c>{z}</c>, <c>{x}</c>, and <c>{y}</c> placeholders.
+    /// </summary>
+    public string TileUrl { get; set; } = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+    /// <summary>
+    /// Gets or sets the attribution HTML displayed on the map, as required by the tile server.
+    /// </summary>
+    public string Attribution { get; set; } = "&copy; <a href=\"https://www.openstreetmap.org/copyright\">OpenStreetMap</a> contributors";
+
+    /// <summary>
+    /// Gets or sets the base URL of the Nominatim-compatible geocoding endpoint, which must support <c>/search</c> and <c>/reverse</c>,
+    /// or empty (default) to disable search and addresses.
+    /// </summary>
+    /// <remarks>
+    /// Searches are made once the editor has stopped typing, and at most one request per second is made, as required by the
+    /// usage policy of the public Nominatim server (<c>https://nominatim.openstreetmap.org</c>).
+    /// </remarks>
+    public string GeocodingUrl { get; set; } = string.Empty;
+}
@@ -0,0 +1,29 @@
+﻿namespace GoogleMapsEditor;
+
+/// <summary>
+/// Controls displayed on the map in the editor, bound from the <c>GoogleMapsEditor:Controls</c> configuration section.
+/// </summary>
+public class MapControlsOptions
+{
+    /// <summary>
+    /// Gets or sets a value indicating whether editors can switch between roadmap, satellite, and terrain views.
+    /// </summary>
+    /// <remarks>Only supported by <see cref="MapProvider.Google"/>.</remarks>
+    public bool MapType { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether zoom buttons are displayed.
+    /// </summary>
+    public bool Zoom { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the Street View pegman is displayed.
+    /// </summary>
+    /// <remarks>Only supported by <see cref="MapProvider.Google"/>.</remarks>
+    public bool StreetView { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets a value indicating whether editors can expand the editor into a large dialog.
+    /// </summary>
+    public bool Expand { get; set; } = true;
+}
@@ -0,0 +1,17 @@
+﻿namespace GoogleMapsEditor;
+
+/// <summary>
+/// Map providers supported by the editor.
+/// </summary>
+public enum MapProvider
+{
+    /// <summary>
+    /// Google Maps, with the Places API for search and the Geocoding API for addresses. Requires an API key and a Map Id.
+    /// </summary>
+    Google,
+
+    /// <summary>
+    /// Leaflet with OpenStreetMap tiles (or any other tile server), and a Nominatim-compatible endpoint for search and addresses.
+    /// </summary>
+    Leaflet
+}
@@ -1,5 +1,7 @@
 ﻿using EPiServer.Shell.Modules;
 using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.DependencyInjection.Extensions;
+using Microsoft.Extensions.Options;
 using System;
 using System.Linq;
 
@@ -11,23 +13,37 @@ namespace GoogleMapsEditor;
 public static class ServiceCollectionExtensions
 {
     /// <summary>
-    /// Gets or sets the API key to use for Google Maps.
+    /// Gets the API key to use for Google Maps.
     /// </summary>
-    public static string ApiKey { get; set; }
-    
+    [Obsolete("Use GoogleMapsEditorOptions.ApiKey, for example by injecting IOptions<GoogleMapsEditorOptions>.")]
+    public static string ApiKey { get; set; } = string.Empty;
+
     /// <summary>
-    /// Gets or sets the Map Id to use for Google Maps.
+    /// Gets the Map Id to use for Google Maps.
     /// </summary>
-    public static string MapId { get; set; }
+    [Obsolete("Use GoogleMapsEditorOptions.MapId, for example by injecting IOptions<GoogleMapsEditorOptions>.")]
+    public static string MapId { get; set; } = string.Empty;
 
+    [Obsolete("Use GoogleMapsEditorOptions.DefaultZoom, for example by injecting IOptions<GoogleMapsEditorOptions>.")]
     public static int DefaultZoom { get; set; }
 
+    [Obsolete("Use GoogleMapsEditorOptions.DefaultLatitude, for example by injecting IOptions<GoogleMapsEditorOptions>.")]
     public static double DefaultLatitude { get; set; }
 
+    [Obsolete("Use GoogleMapsEditorOptions.DefaultLongitude, for example by injecting IOptions<GoogleMapsEditorOptions>.")]
     public static double DefaultLongitude { get; set; }
 
     const string ADDON_NAME = "GoogleMapsEditor";
 
+    /// <summary>
+    /// Enables the Google Maps Editor, using settings from the <c>GoogleMapsEditor</c> configuration section.
+    /// </summary>
+    /// <param name="services"></param>
+    public static IServiceCollection AddGoogleMapsEditor(this IServiceCollection services)
+    {
+        return services.AddGoogleMapsEditor(_ => { });
+    }
+
     /// <summary>
     /// Enables the Google Maps Editor.
     /// </summary>
@@ -39,11 +55,42 @@ public static class ServiceCollectionExtensions
     /// <param name="services"></param>
     public static IServiceCollection AddGoogleMapsEditor(this IServiceCollection services, string apiKey, string mapId, int defaultZoom = 5, double defaultLatitude = 59.33564361359625, double defaultLongitude = 18.03014159202576)
     {
-        ApiKey = apiKey;
-        MapId = mapId;
-        DefaultZoom = defaultZoom;
-        DefaultLongitude = defaultLongitude;
-        DefaultLatitude = defaultLatitude;
+        return services.AddGoogleMapsEditor(options =>
+        {
+            options.ApiKey = apiKey;
+            options.MapId = mapId;
+            options.DefaultZoom = defaultZoom;
+            options.DefaultLatitude = defaultLatitude;
+            options.DefaultLongitude = defaultLongitude;
+        });
+    }
+
+    /// <summary>
+    /// Enables the Google Maps Editor.
+    /// </summary>
+    /// <param name="services"></param>
+    /// <param name="configureOptions">Configures settings, applied after settings from the <c>GoogleMapsEditor</c> configuration section.</param>
+    /// <remarks>Settings are validated when the application starts, for example to ensure an API key has been specified.</remarks>
+    public static IServiceCollection AddGoogleMapsEditor(this IServiceCollection services, Action<GoogleMapsEditorOptions> configureOptions)
+    {
+        services.AddOptions<GoogleMapsEditorOptions>()
+                .BindConfiguration(GoogleMapsEditorOptions.SectionName)
+                .Configure(configureOptions)
+                .PostConfigure(SetObsoleteProperties)
+                .ValidateOnStart();
+
+        services.TryAddEnumerable(ServiceDescriptor.Singleton<IValidateOptions<GoogleMapsEditorOptions>, GoogleMapsEditorOptionsValidator>());
+
+        // Proxy endpoint for Places autocomplete and geocoding, used if enabled in the settings
+        services.AddMemoryCache();
+        services.AddHttpClient<GoogleMapsProxyService>();
+        services.TryAddSingleton<GoogleMapsLookupCounter>();
+
+        // Maps displayed on the website by the <google-map> tag helper and Html.GoogleMap()
+        services.TryAddSingleton<GoogleMapRenderer>();
+
+        // Migration of string properties to GoogleMapsCoordinates, used by the scheduled job and the preview endpoint
+        services.TryAddSingleton<GoogleMapsMigrationService>();
 
         services.Configure<ProtectedModuleOptions>(
                 pm =>
@@ -59,4 +106,18 @@ public static class ServiceCollectionExtensions
 
         return services;
     }
+
+    /// <summary>
+    /// Sets the static properties kept for backward compatibility, when the settings are bound at startup.
+    /// </summary>
+    private static void SetObsoleteProperties(GoogleMapsEditorOptions options)
+    {
+#pragma warning disable CS0618 // Type or member is obsolete
+        ApiKey = options.ApiKey;
+        MapId = options.MapId;
+        DefaultZoom = options.DefaultZoom;
+        DefaultLatitude = options.DefaultLatitude;
+        DefaultLongitude = options.DefaultLongitude;
+#pragma warning restore CS0618 // Type or member is obsolete
+    }
 }
@@ -1,12 +1,13 @@
 ﻿using GoogleMapsEditor;
+using Newtonsoft.Json;
 using System.ComponentModel.DataAnnotations;
 
 namespace Testsite;
 
 public class ListItem
 {
-    // This would require custom serialization to work, but we skip it as IList<T> isn't 100 % supported, and instead we should use IList<TBlock>
-    //public virtual GoogleMapsCoordinates? ListItemCoordinates { get; set; }
+    [JsonConverter(typeof(GoogleMapsCoordinatesJsonConverter))]
+    public virtual GoogleMapsCoordinates? ListItemCoordinates { get; set; }
 
     [UIHint(GoogleMapsEditorDescriptor.UIHint)]
     public virtual string? ListItemStringCoordinates { get; set; }
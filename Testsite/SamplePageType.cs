@@ -16,6 +16,40 @@ public class SamplePageType : PageData
 
     public virtual GoogleMapsCoordinates? BlockCoordinates { get; set; }
 
+    [Display(Description = "Starts zoomed in on Stockholm with a taller map.")]
+    [GoogleMapsEditor(DefaultZoom = 12, DefaultLatitude = 59.3293, DefaultLongitude = 18.0686, Height = 400)]
+    public virtual GoogleMapsCoordinates? StockholmOffice { get; set; }
+
+    [Display(Description = "A different office for each language.")]
+    [CultureSpecific]
+    public virtual GoogleMapsCoordinates? LocalOffice { get; set; }
+
+    [Display(Description = "The same office in all languages.")]
+    public virtual GoogleMapsCoordinates? SharedOffice { get; set; }
+
+    [Display(Description = "Only locations in the Nordic countries.")]
+    [GoogleMapsEditor(AllowedCountries = new[] { "SE", "NO", "DK", "FI", "IS" }, Bounds = new[] { 54.5, -25.0, 71.5, 32.0 })]
+    public virtual GoogleMapsCoordinates? NordicListing { get; set; }
+
+    public virtual GoogleMapsPlace? Place { get; set; }
+
+    [Display(Description = "Reopens with the saved zoom level and map center.")]
+    public virtual GoogleMapsMapView? OfficeView { get; set; }
+
+    [Display(Description = "Between 2 and 5 locations.")]
+    [MinLength(2)]
+    [MaxLength(5)]
+    public virtual IList<GoogleMapsMarker>? Locations { get; set; }
+
+    public virtual GoogleMapsCircle? SearchArea { get; set; }
+
+    public virtual GoogleMapsStreetView? Entrance { get; set; }
+
+    public virtual GoogleMapsPolygon? Area { get; set; }
+
+    [UIHint(GoogleMapsEditorDescriptor.PolylineUIHint)]
+    public virtual string? Route { get; set; }
+
     [Display(GroupName = "Different tab", Description = "Required coordinates.")]
     [Required]
     [UIHint(GoogleMapsEditorDescriptor.UIHint)]
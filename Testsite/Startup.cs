@@ -38,11 +38,12 @@ public class Startup
             .AddEmbeddedLocalization<Startup>()
             .Configure<RazorPagesOptions>(x => x.RootDirectory = "/");
 
-        // Enable the Google Maps Editor add-on if an API key has been specified
-        if (_configuration["GoogleMaps:ApiKey"] is string apiKey && !string.IsNullOrWhiteSpace(apiKey) 
-            && _configuration["GoogleMaps:MapId"] is string mapId && !string.IsNullOrWhiteSpace(mapId))
+        // Enable the Google Maps Editor add-on if an API key has been specified, or if Leaflet is used as map provider (which needs no API key)
+        var googleMapsSettings = _configuration.GetSection(GoogleMapsEditorOptions.SectionName).Get<GoogleMapsEditorOptions>();
+
+        if (googleMapsSettings is not null && (googleMapsSettings.MapProvider == MapProvider.Leaflet || !string.IsNullOrWhiteSpace(googleMapsSettings.ApiKey)))
         {
-            services.AddGoogleMapsEditor(apiKey, mapId);
+            services.AddGoogleMapsEditor();
 
             if (_webHostEnvironment.IsDevelopment())
             {
@@ -57,7 +58,7 @@ public class Startup
         }
         else
         {
-            Console.Error.WriteLine("Google Maps API key missing");
+            Console.Error.WriteLine("Google Maps API key missing, specify an API key or use Leaflet as map provider");
         }
 
         if (_webHostEnvironment.IsDevelopment())